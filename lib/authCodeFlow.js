@@ -0,0 +1,73 @@
+// Authorization code sign-in (OAuth 2.0 with PKCE)
+// Keeps the sign-in a user started until Microsoft redirects back, and only redeems a callback
+// whose state matches it
+
+const crypto = require('crypto');
+
+// Redirect sign-ins must come back within this time
+const AUTH_CODE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// A callback that cannot complete the sign-in; the message is shown to the user
+class AuthCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthCodeError';
+  }
+}
+
+/**
+ * Start a sign-in
+ * @param {Object} graphSession - Session from graphHelper.initializeGraphForUserAuth (with its own token cache)
+ * @param {string} redirectUri - Callback URL registered in the app registration
+ * @param {number} now - Start time in ms
+ * @returns {Object} { url: Microsoft sign-in URL, pending: sign-in to keep until the callback }
+ */
+async function startAuthCodeSignIn(graphSession, redirectUri, now = Date.now()) {
+  const state = crypto.randomBytes(16).toString('hex');
+  const { url, codeVerifier } = await graphSession.getAuthCodeUrl(redirectUri, state);
+  return {
+    url,
+    pending: { state, codeVerifier, redirectUri, graphSession, startedAt: now }
+  };
+}
+
+/**
+ * Check a callback against the user's pending sign-in and redeem its code.
+ * The pending sign-in is used up by a callback with its state (or an error), so a code can only be redeemed once;
+ * a callback with another state leaves it in place.
+ * @param {Object} session - Holder of the user's pendingAuthCode from startAuthCodeSignIn
+ * @param {Object} query - Callback query: { code, state } or { error, error_description }
+ * @param {number} now - Callback time in ms
+ * @returns {Object} { token, pending } on success
+ * @throws {AuthCodeError} When the callback is an error, forged, reused, late or has no code
+ */
+async function completeAuthCodeSignIn(session, query, now = Date.now()) {
+  const pending = session.pendingAuthCode;
+  const { code, state, error, error_description: errorDescription } = query || {};
+
+  if (error) {
+    session.pendingAuthCode = null;
+    throw new AuthCodeError(errorDescription || error);
+  }
+  // The state must match the sign-in this user started (protects against forged callbacks)
+  if (!pending || !state || state !== pending.state) {
+    throw new AuthCodeError('This sign-in was not started here or has already been used. Please try again.');
+  }
+  session.pendingAuthCode = null;
+  if (now - pending.startedAt > AUTH_CODE_TIMEOUT_MS) {
+    throw new AuthCodeError('Sign-in took too long. Please try again.');
+  }
+  if (!code) {
+    throw new AuthCodeError('Microsoft did not return an authorization code');
+  }
+
+  const token = await pending.graphSession.acquireTokenByCode(code, pending.redirectUri, pending.codeVerifier);
+  return { token, pending };
+}
+
+module.exports = {
+  AUTH_CODE_TIMEOUT_MS,
+  AuthCodeError,
+  startAuthCodeSignIn,
+  completeAuthCodeSignIn
+};
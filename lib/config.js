@@ -0,0 +1,233 @@
+// App configuration (Microsoft app registration, default sheet, port)
+// Values come from built-in defaults, then an optional JSON config file (shared values and a named profile),
+// then environment variables, and are validated once at startup.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'config.json';
+const DEFAULT_PROFILE = 'development';
+
+// Public client ID of the shared app registration (device code flow does not need a secret)
+const DEFAULTS = {
+  clientId: '298b0410-cb65-491f-8b6c-4ba5bc612d2a',
+  clientSecret: '',
+  tenantId: 'common',
+  graphUserScopes: ['user.read', 'files.readwrite'],
+  defaultSheetUrl: '',
+  // Redirect (authorization code) sign-in; empty values use the request host and Microsoft's endpoints
+  redirectUri: '',
+  authorizeEndpoint: '',
+  tokenEndpoint: '',
+  // Minutes between background syncs of every selected worksheet (0 turns the background sync off)
+  syncIntervalMinutes: 30,
+  port: 3001,
+  production: false
+};
+
+// Environment variable for each setting (they override the config file)
+const ENV_VARIABLES = {
+  clientId: 'CLIENT_ID',
+  clientSecret: 'CLIENT_SECRET',
+  tenantId: 'TENANT_ID',
+  graphUserScopes: 'GRAPH_SCOPES',
+  defaultSheetUrl: 'DEFAULT_SHEET_URL',
+  redirectUri: 'AUTH_REDIRECT_URI',
+  authorizeEndpoint: 'AUTH_AUTHORIZE_ENDPOINT',
+  tokenEndpoint: 'AUTH_TOKEN_ENDPOINT',
+  syncIntervalMinutes: 'SYNC_INTERVAL_MINUTES',
+  port: 'PORT'
+};
+
+// SHA-256 of the client secret that used to be committed in server.js. It is public now,
+// so production refuses to start with it.
+const COMMITTED_SECRET_SHA256 = '1e360673a6d93555d9a8cfadfabfc074a0a4c37fa16f18f78c82998d86cba261';
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TENANT_PATTERN = /^(common|organizations|consumers|[a-z0-9-]+(\.[a-z0-9-]+)+)$/i;
+
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super(`Invalid configuration${source ? ` (${source})` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a client secret is the one that was committed to the repository
+ * @param {string} secret - Client secret
+ * @returns {boolean} True if it is the committed secret
+ */
+function isCommittedSecret(secret) {
+  if (!secret) return false;
+  return crypto.createHash('sha256').update(secret).digest('hex') === COMMITTED_SECRET_SHA256;
+}
+
+/**
+ * Read the config file, if there is one
+ * @param {string} filePath - Path of the JSON file
+ * @param {boolean} required - Throw when the file does not exist
+ * @returns {Object|null} { shared, profiles }, or null when there is no file
+ */
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new ConfigError([`Config file not found: ${filePath}`]);
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new ConfigError([`${filePath} is not valid JSON: ${err.message}`]);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError([`${filePath} must contain a JSON object`]);
+  }
+
+  const { profiles, ...shared } = parsed;
+  if (profiles !== undefined && (typeof profiles !== 'object' || Array.isArray(profiles) || profiles === null)) {
+    throw new ConfigError([`"profiles" in ${filePath} must be an object of named profiles`]);
+  }
+  return { shared, profiles: profiles || {} };
+}
+
+// Catch typos such as "clientID" instead of silently ignoring them
+function findUnknownSettings(values, section) {
+  return Object.keys(values)
+    .filter(key => !(key in DEFAULTS))
+    .map(key => `Unknown setting "${key}" in ${section}. Known settings: ${Object.keys(DEFAULTS).join(', ')}`);
+}
+
+function readEnvironment(env) {
+  const values = {};
+  Object.entries(ENV_VARIABLES).forEach(([key, variable]) => {
+    const value = env[variable];
+    if (value === undefined || value.trim() === '') return;
+    values[key] = key === 'graphUserScopes'
+      ? value.split(/[,\s]+/).filter(Boolean)
+      : value.trim();
+  });
+  return values;
+}
+
+/**
+ * Check a resolved config
+ * @param {Object} config - Merged settings
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  if (typeof config.clientId !== 'string' || !GUID_PATTERN.test(config.clientId)) {
+    errors.push(`clientId (${ENV_VARIABLES.clientId}) must be the application GUID of the Microsoft app registration`);
+  }
+  if (typeof config.clientSecret !== 'string') {
+    errors.push(`clientSecret (${ENV_VARIABLES.clientSecret}) must be a string`);
+  }
+  if (typeof config.tenantId !== 'string' || !(GUID_PATTERN.test(config.tenantId) || TENANT_PATTERN.test(config.tenantId))) {
+    errors.push(`tenantId (${ENV_VARIABLES.tenantId}) must be "common", "organizations", "consumers", a tenant GUID or a tenant domain`);
+  }
+  if (!Array.isArray(config.graphUserScopes) || config.graphUserScopes.length === 0 ||
+      config.graphUserScopes.some(scope => typeof scope !== 'string' || !scope.trim())) {
+    errors.push(`graphUserScopes (${ENV_VARIABLES.graphUserScopes}) must be a non-empty list of scopes`);
+  }
+  if (typeof config.defaultSheetUrl !== 'string') {
+    errors.push(`defaultSheetUrl (${ENV_VARIABLES.defaultSheetUrl}) must be a string`);
+  } else if (config.defaultSheetUrl && !/^https:\/\/\S+$/i.test(config.defaultSheetUrl)) {
+    errors.push(`defaultSheetUrl (${ENV_VARIABLES.defaultSheetUrl}) must be an https:// sharing link`);
+  }
+  ['redirectUri', 'authorizeEndpoint', 'tokenEndpoint'].forEach(key => {
+    if (typeof config[key] !== 'string') {
+      errors.push(`${key} (${ENV_VARIABLES[key]}) must be a string`);
+    } else if (config[key] && !/^https?:\/\/\S+$/i.test(config[key])) {
+      errors.push(`${key} (${ENV_VARIABLES[key]}) must be an http:// or https:// URL`);
+    }
+  });
+  const syncIntervalMinutes = Number(config.syncIntervalMinutes);
+  if (!Number.isFinite(syncIntervalMinutes) || syncIntervalMinutes < 0) {
+    errors.push(`syncIntervalMinutes (${ENV_VARIABLES.syncIntervalMinutes}) must be a number of minutes (0 turns the background sync off)`);
+  }
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push(`port (${ENV_VARIABLES.port}) must be a whole number between 1 and 65535`);
+  }
+
+  if (config.production && isCommittedSecret(config.clientSecret)) {
+    errors.push(`clientSecret is the secret that was committed to the repository. Rotate it in the app registration and set ${ENV_VARIABLES.clientSecret} before running in production`);
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate the app configuration
+ * @param {Object} env - Environment variables
+ * @param {string} baseDir - Folder the config file is resolved from
+ * @returns {Object} { profile, production, clientId, clientSecret, tenantId, graphUserScopes, defaultSheetUrl,
+ *   redirectUri, authorizeEndpoint, tokenEndpoint, syncIntervalMinutes, port, configFile }
+ * @throws {ConfigError} When the config file or any setting is invalid
+ */
+function loadConfig(env = process.env, baseDir = process.cwd()) {
+  const configFile = path.resolve(baseDir, env.CONFIG_FILE || DEFAULT_CONFIG_FILE);
+  const file = readConfigFile(configFile, Boolean(env.CONFIG_FILE));
+  const profile = (env.APP_PROFILE || '').trim() || DEFAULT_PROFILE;
+
+  let profileValues = {};
+  if (file && file.profiles[profile]) {
+    profileValues = file.profiles[profile];
+  } else if (env.APP_PROFILE) {
+    const available = file ? Object.keys(file.profiles) : [];
+    throw new ConfigError([
+      `Profile "${profile}" is not defined${file ? ` in ${configFile}` : ' (no config file found)'}` +
+      (available.length > 0 ? `. Available profiles: ${available.join(', ')}` : '')
+    ]);
+  }
+
+  const unknown = [
+    ...(file ? findUnknownSettings(file.shared, configFile) : []),
+    ...findUnknownSettings(profileValues, `profile "${profile}"`)
+  ];
+  if (unknown.length > 0) {
+    throw new ConfigError(unknown);
+  }
+
+  const config = {
+    ...DEFAULTS,
+    ...(file ? file.shared : {}),
+    ...profileValues,
+    ...readEnvironment(env)
+  };
+  // NODE_ENV=production always means production, whatever the profile says
+  config.production = env.NODE_ENV === 'production' || config.production === true;
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(errors, `profile "${profile}"`);
+  }
+
+  return {
+    profile,
+    production: config.production,
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    tenantId: config.tenantId,
+    graphUserScopes: config.graphUserScopes.map(scope => scope.trim()),
+    defaultSheetUrl: config.defaultSheetUrl,
+    redirectUri: config.redirectUri,
+    authorizeEndpoint: config.authorizeEndpoint,
+    tokenEndpoint: config.tokenEndpoint,
+    syncIntervalMinutes: Number(config.syncIntervalMinutes),
+    port: Number(config.port),
+    configFile: file ? configFile : null
+  };
+}
+
+module.exports = {
+  ConfigError,
+  isCommittedSecret,
+  validateConfig,
+  loadConfig
+};
@@ -1,12 +1,170 @@
 // Data transformer for vocabulary Excel sheet
 // Transforms flat Excel data into structured format grouped by topics
 
+const { parseColumnRef, getColumnLetter } = require('./graphHelper');
+
+// Column of each word field in the original layout (A: order, B: topic, C: flag, D: word, ... K: date)
+const DEFAULT_COLUMNS = {
+  order: 0,
+  topic: 1,
+  flag: 2,
+  word: 3,
+  partOfSpeech: 4,
+  pronunciation: 5,
+  meaning: 6,
+  exampleSentence: 7,
+  synonyms: 8,
+  dayOfWeek: 9,
+  date: 10
+};
+const COLUMN_FIELDS = Object.keys(DEFAULT_COLUMNS);
+
+// Header names recognised for each field (compared after normalizeHeader)
+const HEADER_ALIASES = {
+  order: ['order', 'no', '#', 'stt', 'number'],
+  topic: ['topic', 'session', 'lesson', 'unit', 'chu de'],
+  flag: ['flag', 'status', 'known'],
+  word: ['word', 'vocabulary', 'vocab', 'term', 'tu vung', 'tu'],
+  partOfSpeech: ['pos', 'part of speech', 'word type', 'type', 'tu loai'],
+  pronunciation: ['pronunciation', 'ipa', 'phonetic', 'phonetics', 'phien am'],
+  meaning: ['meaning', 'meaning vi', 'definition', 'translation', 'nghia'],
+  exampleSentence: ['example', 'example sentence', 'examples', 'sentence', 'vi du'],
+  synonyms: ['synonyms', 'synonym', 'similar words', 'dong nghia'],
+  dayOfWeek: ['day', 'day of week', 'weekday', 'thu'],
+  date: ['date', 'date added', 'added', 'ngay']
+};
+
+/**
+ * Normalize a header cell for matching: lowercase, no diacritics or punctuation
+ * @param {string} value - Header cell
+ * @returns {string} Normalized header, e.g. "Meaning (VI)" -> "meaning vi"
+ */
+function normalizeHeader(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9#]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check a user-defined column mapping
+ * @param {Object} mapping - Field -> column letter, or null to leave a field out (e.g. { word: "B", meaning: "E" })
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateColumnMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping must be an object of field -> column letter'];
+  }
+
+  const errors = [];
+  const used = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!COLUMN_FIELDS.includes(field)) {
+      errors.push(`Unknown field "${field}". Use one of: ${COLUMN_FIELDS.join(', ')}`);
+      return;
+    }
+    if (column === null || column === '') {
+      if (field === 'word') errors.push('The word column cannot be left out');
+      return;
+    }
+    const index = parseColumnRef(column);
+    if (index === null) {
+      errors.push(`Invalid column "${column}" for ${field}. Use a column letter such as "D"`);
+      return;
+    }
+    if (used[index]) {
+      errors.push(`Column ${column} is mapped to both ${used[index]} and ${field}`);
+      return;
+    }
+    used[index] = field;
+  });
+  return errors;
+}
+
+/**
+ * Detect the word fields from a header row
+ * @param {Array} row - First row of the worksheet
+ * @returns {Object} Field -> column index for every recognised header
+ */
+function detectColumns(row) {
+  const columns = {};
+  (row || []).forEach((cell, index) => {
+    const header = normalizeHeader(cell);
+    if (!header) return;
+    const field = COLUMN_FIELDS.find(name => columns[name] === undefined && HEADER_ALIASES[name].includes(header));
+    if (field) columns[field] = index;
+  });
+  return columns;
+}
+
+/**
+ * Work out which column holds each field of a worksheet
+ * A header row that names the word column defines the layout (extra columns become custom fields);
+ * otherwise the original A-K layout is used. A user mapping overrides both.
+ * @param {Array} rows - 2D array of cell values
+ * @param {Object} mapping - Optional user mapping (see validateColumnMapping)
+ * @returns {Object} { hasHeader, source, columns: { field: index }, customColumns: [{ index, name }] }
+ */
+function resolveColumns(rows, mapping = null) {
+  const headerRow = rows && rows[0];
+  const detected = detectColumns(headerRow);
+  const hasHeader = isHeaderRow(headerRow);
+
+  let source = 'default';
+  let columns = { ...DEFAULT_COLUMNS };
+  if (hasHeader && detected.word !== undefined) {
+    source = 'header';
+    columns = detected;
+    // The original template ("Order", "Topic", ...): fields with unrecognised headers keep their usual column
+    if (isTemplateHeader(headerRow)) {
+      const taken = new Set(Object.values(columns));
+      COLUMN_FIELDS.forEach(field => {
+        if (columns[field] === undefined && !taken.has(DEFAULT_COLUMNS[field])) {
+          columns[field] = DEFAULT_COLUMNS[field];
+        }
+      });
+    }
+  }
+
+  if (mapping && Object.keys(mapping).length > 0) {
+    source = 'mapping';
+    Object.entries(mapping).forEach(([field, column]) => {
+      const index = column === null || column === '' ? null : parseColumnRef(column);
+      // A mapped column takes over from whichever field had it before
+      Object.keys(columns).forEach(other => {
+        if (columns[other] === index) delete columns[other];
+      });
+      if (index === null) {
+        delete columns[field];
+      } else {
+        columns[field] = index;
+      }
+    });
+  }
+
+  // Every other column is passed through as a custom field, named after its header
+  const assigned = new Set(Object.values(columns));
+  const columnCount = (rows || []).reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+  const customColumns = [];
+  for (let index = 0; index < columnCount; index++) {
+    if (assigned.has(index)) continue;
+    const header = hasHeader ? getCell(headerRow, index) : '';
+    customColumns.push({ index, name: header || `Column ${getColumnLetter(index)}` });
+  }
+
+  return { hasHeader, source, columns, customColumns };
+}
+
 /**
  * Parse Excel data and structure it by topics
  * @param {Object} excelData - Raw data from Microsoft Graph API
+ * @param {Object} options - { columnMappings: { worksheetName: mapping } }
  * @returns {Object} Structured data with topics and vocabulary words
  */
-function transformVocabData(excelData) {
+function transformVocabData(excelData, options = {}) {
   if (!excelData || !excelData.worksheets || excelData.worksheets.length === 0) {
     return excelData;
   }
@@ -24,12 +182,19 @@ function transformVocabData(excelData) {
       return;
     }
 
+    const mapping = options.columnMappings ? options.columnMappings[worksheet.name] : null;
+    const layout = resolveColumns(worksheet.values, mapping);
     const structuredWorksheet = {
       name: worksheet.name,
       range: worksheet.range,
       rowCount: worksheet.rowCount,
       columnCount: worksheet.columnCount,
-      topics: parseTopics(worksheet.values),
+      // Kept so writes (e.g. the flag) go to the right column
+      columns: layout.columns,
+      columnSource: layout.source,
+      customFields: layout.customColumns.map(column => column.name),
+      topics: parseTopics(worksheet.values, layout),
+      rowsWithoutWord: findRowsWithoutWord(worksheet.values, layout),
       statistics: null // Will be calculated
     };
 
@@ -63,14 +228,15 @@ function transformVocabData(excelData) {
 /**
  * Parse rows into topics with vocabulary words
  * @param {Array} rows - 2D array of cell values
+ * @param {Object} layout - Column layout from resolveColumns (detected from the rows when omitted)
  * @returns {Array} Array of topics with their words
  */
-function parseTopics(rows) {
+function parseTopics(rows, layout = resolveColumns(rows)) {
   const topics = [];
   let currentTopic = null;
 
   // Skip header row if it exists (check if first row looks like a header)
-  const startRow = isHeaderRow(rows[0]) ? 1 : 0;
+  const startRow = layout.hasHeader ? 1 : 0;
 
   for (let i = startRow; i < rows.length; i++) {
     const row = rows[i];
@@ -78,7 +244,7 @@ function parseTopics(rows) {
     // Skip empty rows
     if (isEmptyRow(row)) continue;
 
-    const topicName = getCell(row, 1); // Column B (index 1)
+    const topicName = getCell(row, layout.columns.topic);
     
     // Check if this row starts a new topic
     if (topicName && topicName.trim() !== '') {
@@ -95,13 +261,13 @@ function parseTopics(rows) {
       };
 
       // The first row of a topic may also contain a word
-      const word = parseWord(row, i + 1);
+      const word = parseWord(row, i + 1, layout);
       if (word && word.word) {
         currentTopic.words.push(word);
       }
     } else if (currentTopic) {
       // This row belongs to the current topic
-      const word = parseWord(row, i + 1);
+      const word = parseWord(row, i + 1, layout);
       if (word && word.word) {
         currentTopic.words.push(word);
       }
@@ -115,7 +281,7 @@ function parseTopics(rows) {
           words: []
         };
       }
-      const word = parseWord(row, i + 1);
+      const word = parseWord(row, i + 1, layout);
       if (word && word.word) {
         currentTopic.words.push(word);
       }
@@ -130,33 +296,126 @@ function parseTopics(rows) {
   return topics;
 }
 
+/**
+ * Find rows that have content but no word (parseTopics skips them)
+ * The order and topic columns are ignored, so numbered blank rows and topic headings are not reported.
+ * @param {Array} rows - 2D array of cell values
+ * @param {Object} layout - Column layout from resolveColumns
+ * @returns {Array} 1-based row numbers
+ */
+function findRowsWithoutWord(rows, layout) {
+  const ignored = new Set([layout.columns.order, layout.columns.topic]);
+  const rowNumbers = [];
+
+  for (let i = layout.hasHeader ? 1 : 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (isEmptyRow(row) || getCell(row, layout.columns.word)) continue;
+    if (row.some((cell, index) => !ignored.has(index) && getCell(row, index) !== '')) {
+      rowNumbers.push(i + 1);
+    }
+  }
+
+  return rowNumbers;
+}
+
 /**
  * Parse a single word from a row
  * @param {Array} row - Array of cell values
  * @param {number} rowNumber - 1-based row number
- * @returns {Object} Word object
+ * @param {Object} layout - Column layout from resolveColumns (original A-K layout when omitted)
+ * @returns {Object} Word object (non-empty extra columns are in custom, keyed by header)
  */
-function parseWord(row, rowNumber) {
-  const word = getCell(row, 3); // Column D (index 3)
+function parseWord(row, rowNumber, layout = { columns: DEFAULT_COLUMNS, customColumns: [] }) {
+  const { columns, customColumns } = layout;
+  const word = getCell(row, columns.word);
   
   // Skip if no word
   if (!word || word.trim() === '') {
     return null;
   }
 
-  return {
+  const parsed = {
     rowNumber: rowNumber,
-    order: getCell(row, 0), // Column A
-    flag: getCell(row, 2), // Column C
-    word: word.trim(), // Column D
-    partOfSpeech: getCell(row, 4), // Column E
-    pronunciation: getCell(row, 5), // Column F
-    meaning: getCell(row, 6), // Column G
-    exampleSentence: getCell(row, 7), // Column H
-    synonyms: getCell(row, 8), // Column I
-    dayOfWeek: getCell(row, 9), // Column J
-    date: getCell(row, 10) // Column K
+    order: getCell(row, columns.order),
+    flag: getCell(row, columns.flag),
+    word: word.trim(),
+    partOfSpeech: getCell(row, columns.partOfSpeech),
+    pronunciation: getCell(row, columns.pronunciation),
+    meaning: getCell(row, columns.meaning),
+    exampleSentence: getCell(row, columns.exampleSentence),
+    synonyms: getCell(row, columns.synonyms),
+    dayOfWeek: getCell(row, columns.dayOfWeek),
+    date: getCell(row, columns.date)
   };
+
+  const custom = {};
+  (customColumns || []).forEach(column => {
+    const value = getCell(row, column.index);
+    if (value) custom[column.name] = value;
+  });
+  if (Object.keys(custom).length > 0) {
+    parsed.custom = custom;
+  }
+
+  return parsed;
+}
+
+/**
+ * Build a stable key for a word, matching the format used in word-status.json
+ * @param {string} worksheetName - Worksheet name as shown to the client (e.g. "[vocabKhi] vocabKhi")
+ * @param {string} topicName - Topic the word belongs to
+ * @param {Object} word - Word object from parseWord
+ * @returns {string} Key like "[vocabKhi] vocabKhi||Graffiti||4||uninvited||46030"
+ */
+function getWordKey(worksheetName, topicName, word) {
+  return [worksheetName, topicName, word.order, word.word, word.date]
+    .map(part => (part === null || part === undefined ? '' : String(part)))
+    .join('||');
+}
+
+/**
+ * Update the flag of a word in a structured worksheet and refresh its statistics
+ * @param {Object} worksheet - Structured worksheet from transformVocabData
+ * @param {number} rowNumber - 1-based row number captured by parseWord
+ * @param {string} flag - New flag value
+ * @returns {Object|null} Updated word, or null if no word has that row number
+ */
+function applyWordFlag(worksheet, rowNumber, flag) {
+  if (!worksheet || !Array.isArray(worksheet.topics)) return null;
+
+  for (const topic of worksheet.topics) {
+    const word = (topic.words || []).find(w => w.rowNumber === rowNumber);
+    if (word) {
+      word.flag = flag;
+      topic.statistics = calculateTopicStatistics([topic]);
+      worksheet.statistics = calculateStatistics(worksheet.topics);
+      return word;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Set a text field of a word in a structured worksheet (flags go through applyWordFlag)
+ * @param {Object} worksheet - Structured worksheet from transformVocabData
+ * @param {number} rowNumber - Excel row number of the word
+ * @param {string} field - Word field, e.g. 'pronunciation'
+ * @param {string} value - New value
+ * @returns {Object|null} Updated word, or null if no word has that row number
+ */
+function applyWordField(worksheet, rowNumber, field, value) {
+  if (!worksheet || !Array.isArray(worksheet.topics)) return null;
+
+  for (const topic of worksheet.topics) {
+    const word = (topic.words || []).find(w => w.rowNumber === rowNumber);
+    if (word) {
+      word[field] = value;
+      return word;
+    }
+  }
+
+  return null;
 }
 
 /**
@@ -239,7 +498,7 @@ function calculateTopicStatistics(topics) {
  * @returns {string} Cell value or empty string
  */
 function getCell(row, index) {
-  if (!row || index >= row.length) return '';
+  if (!row || index === undefined || index === null || index >= row.length) return '';
   const value = row[index];
   return value !== null && value !== undefined ? String(value).trim() : '';
 }
@@ -254,6 +513,13 @@ function isEmptyRow(row) {
   return row.every(cell => cell === null || cell === undefined || String(cell).trim() === '');
 }
 
+// Header of the original sheet template
+function isTemplateHeader(row) {
+  const firstCell = String(getCell(row, 0)).toLowerCase();
+  const secondCell = String(getCell(row, 1)).toLowerCase();
+  return firstCell === 'order' || secondCell === 'topic' || secondCell === 'session';
+}
+
 /**
  * Check if a row looks like a header
  * @param {Array} row - Row array
@@ -261,15 +527,25 @@ function isEmptyRow(row) {
  */
 function isHeaderRow(row) {
   if (!row || row.length === 0) return false;
-  const firstCell = String(getCell(row, 0)).toLowerCase();
-  const secondCell = String(getCell(row, 1)).toLowerCase();
-  return firstCell === 'order' || secondCell === 'topic' || secondCell === 'session';
+  if (isTemplateHeader(row)) return true;
+
+  // Any other layout: the word column plus at least one more field named in the first row
+  const detected = detectColumns(row);
+  return detected.word !== undefined && Object.keys(detected).length >= 2;
 }
 
 module.exports = {
+  DEFAULT_COLUMNS,
+  COLUMN_FIELDS,
+  normalizeHeader,
+  validateColumnMapping,
+  resolveColumns,
   transformVocabData,
   parseTopics,
   parseWord,
+  getWordKey,
+  applyWordFlag,
+  applyWordField,
   calculateStatistics,
   calculateTopicStatistics
 };
@@ -0,0 +1,362 @@
+// Flashcard export of a set of words
+// Builds an Anki package (.apkg), CSV, TSV or Quizlet import text from the words picked by the
+// Filter tab's filter (lib/wordFilter). Every note carries an ID derived from its word key, so
+// importing an updated export again updates the existing cards instead of adding duplicates.
+
+const crypto = require('crypto');
+const { applyFilter } = require('./wordFilter');
+const { E100_RANGE_SIZE, normalizeText } = require('./wordOrder');
+
+const EXPORT_FORMATS = ['apkg', 'csv', 'tsv', 'quizlet'];
+// Fields of parseWord that go on a card, with their column/field names
+const EXPORT_FIELDS = [
+  { key: 'word', name: 'Word' },
+  { key: 'pronunciation', name: 'Pronunciation' },
+  { key: 'meaning', name: 'Meaning' },
+  { key: 'exampleSentence', name: 'Example' },
+  { key: 'synonyms', name: 'Synonyms' }
+];
+// Anki separates the fields of a note with the unit separator character
+const ANKI_FIELD_SEPARATOR = '\x1f';
+const ANKI_CARD_CSS = `.card { font-family: Arial, sans-serif; font-size: 22px; text-align: center; color: #1f2937; background: #fff; }
+.pronunciation { color: #64748b; font-size: 18px; }
+.meaning { font-weight: bold; margin-top: 12px; }
+.example { font-style: italic; color: #475569; margin-top: 12px; font-size: 18px; }
+.synonyms { color: #16a34a; margin-top: 8px; font-size: 16px; }`;
+
+function toText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// One value as written before several could be given ("topic": "Topic 1"), a list otherwise
+function toSelectorValue(values) {
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Pick the words to export. Selectors combine (a word must match all of them).
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Object} options - { flags, topic, worksheet, newestTopics, newestWords, start (E100 range), keys, excludeKeys }
+ *   and any other condition of a wordFilter filter (topics, worksheets, partsOfSpeech, from, to, days, orderFrom,
+ *   orderTo, sample, seed); keys limits the export to the given word keys (starred words, the due queue...).
+ *   start is itself an order range, so callers reject it together with orderFrom / orderTo.
+ * @returns {Object} { entries: [{ key, worksheetName, topicName, order, word }], filter } where filter describes the selection
+ */
+function selectExportWords(data, options = {}) {
+  const { keys, excludeKeys, start, topic, worksheet, ...conditions } = options;
+  if (topic) conditions.topics = [topic];
+  if (worksheet) conditions.worksheets = [worksheet];
+  if (conditions.flags) conditions.flags = conditions.flags.map(normalizeText);
+  if (Number.isInteger(start) && start > 0) {
+    conditions.orderFrom = start;
+    conditions.orderTo = start + E100_RANGE_SIZE - 1;
+  }
+
+  const { entries, seed } = applyFilter(data, conditions, { keys, excludeKeys });
+
+  const filter = {};
+  if (conditions.newestTopics) filter.newestTopics = conditions.newestTopics;
+  if (conditions.topics) {
+    filter.topic = toSelectorValue(conditions.topics);
+    filter.worksheet = conditions.worksheets ? toSelectorValue(conditions.worksheets) : null;
+  } else if (conditions.worksheets) {
+    filter.worksheet = toSelectorValue(conditions.worksheets);
+  }
+  if (conditions.flags && conditions.flags.length > 0) filter.flags = conditions.flags;
+  ['partsOfSpeech', 'from', 'to', 'days'].forEach(name => {
+    if (conditions[name]) filter[name] = conditions[name];
+  });
+  if (Number.isInteger(start) && start > 0) {
+    filter.start = conditions.orderFrom;
+    filter.end = conditions.orderTo;
+  } else {
+    if (conditions.orderFrom) filter.orderFrom = conditions.orderFrom;
+    if (conditions.orderTo) filter.orderTo = conditions.orderTo;
+  }
+  if (conditions.newestWords) filter.newestWords = conditions.newestWords;
+  if (conditions.sample) {
+    filter.sample = conditions.sample;
+    filter.seed = seed;
+  }
+
+  return { entries, filter };
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Stable note ID of a word (the same word key always gives the same ID)
+ * @param {string} key - Word key from getWordKey
+ * @returns {string} ID used as the Anki note guid and the id column of CSV/TSV
+ */
+function getNoteId(key) {
+  return hashText(`note||${key}`).slice(0, 16);
+}
+
+// Positive integer below 2^53 derived from a text, used for Anki's numeric ids
+function getNumericId(text) {
+  return parseInt(hashText(text).slice(0, 12), 16);
+}
+
+function getFieldValues(entry) {
+  return EXPORT_FIELDS.map(field => toText(entry.word[field.key]));
+}
+
+function escapeCsvValue(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * CSV with a header row (RFC 4180 quoting)
+ * @param {Array} entries - Entries from selectExportWords
+ * @returns {string} CSV text
+ */
+function buildCsv(entries) {
+  const header = ['id', ...EXPORT_FIELDS.map(field => field.key), 'topic', 'worksheet'];
+  const rows = entries.map(entry => [getNoteId(entry.key), ...getFieldValues(entry), entry.topicName, entry.worksheetName]);
+  return [header, ...rows].map(row => row.map(value => escapeCsvValue(toText(value))).join(',')).join('\r\n') + '\r\n';
+}
+
+// Tabs and line breaks would start a new column or row
+function toSingleLine(value) {
+  return toText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Tab-separated values with a header row
+ * @param {Array} entries - Entries from selectExportWords
+ * @returns {string} TSV text
+ */
+function buildTsv(entries) {
+  const header = ['id', ...EXPORT_FIELDS.map(field => field.key), 'topic', 'worksheet'];
+  const rows = entries.map(entry => [getNoteId(entry.key), ...getFieldValues(entry), entry.topicName, entry.worksheetName]);
+  return [header, ...rows].map(row => row.map(toSingleLine).join('\t')).join('\n') + '\n';
+}
+
+/**
+ * Quizlet import text: one "term<Tab>definition" line per word (Quizlet's default import separators).
+ * Quizlet has no note IDs, so re-importing creates a new set.
+ * @param {Array} entries - Entries from selectExportWords
+ * @returns {string} Import text
+ */
+function buildQuizlet(entries) {
+  return entries.map(entry => {
+    const { word, pronunciation, meaning, exampleSentence, synonyms } = entry.word;
+    const definition = [
+      pronunciation ? `${toText(pronunciation)} ` : '',
+      toText(meaning),
+      exampleSentence ? ` — ${toText(exampleSentence)}` : '',
+      synonyms ? ` (syn: ${toText(synonyms)})` : ''
+    ].join('').trim();
+    return `${toSingleLine(word)}\t${toSingleLine(definition)}`;
+  }).join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+  return toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Anki tags cannot contain spaces
+function toAnkiTag(text) {
+  return toText(text).replace(/\s+/g, '_');
+}
+
+// Schema of an Anki 2 collection (collection.anki2), the format every Anki version can import
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null,
+  dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null,
+  dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null,
+  tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null,
+  usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null,
+  reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null,
+  data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null,
+  lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+function createAnkiDeck(id, name, nowSeconds) {
+  return {
+    id,
+    name,
+    desc: '',
+    mod: nowSeconds,
+    usn: -1,
+    collapsed: false,
+    browserCollapsed: false,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+    dyn: 0,
+    conf: 1,
+    extendNew: 0,
+    extendRev: 0
+  };
+}
+
+function createAnkiModel(id, deckId, nowSeconds) {
+  return {
+    id,
+    name: 'Vocab Tracker',
+    type: 0,
+    mod: nowSeconds,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{
+      name: 'Word → Meaning',
+      ord: 0,
+      qfmt: '{{Word}}',
+      afmt: '{{FrontSide}}<hr id="answer">' +
+        '<div class="pronunciation">{{Pronunciation}}</div>' +
+        '<div class="meaning">{{Meaning}}</div>' +
+        '<div class="example">{{Example}}</div>' +
+        '<div class="synonyms">{{Synonyms}}</div>',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }],
+    flds: EXPORT_FIELDS.map((field, ord) => ({
+      name: field.name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: 'Arial',
+      size: 20,
+      media: []
+    })),
+    css: ANKI_CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    req: [[0, 'any', [0]]],
+    tags: [],
+    vers: []
+  };
+}
+
+const ANKI_DECK_CONFIG = {
+  id: 1,
+  name: 'Default',
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+  lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+  rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 }
+};
+
+/**
+ * Anki package (.apkg): a zip with an Anki 2 collection holding one deck of "Vocab Tracker" notes.
+ * Note guids come from getNoteId and the deck/note type ids from their names, so importing a newer
+ * export of the same words updates the notes already in Anki.
+ * @param {Array} entries - Entries from selectExportWords
+ * @param {Object} options - { deckName, now }
+ * @returns {Promise<Buffer>} Package contents
+ */
+async function buildApkg(entries, options = {}) {
+  const initSqlJs = require('sql.js');
+  const JSZip = require('jszip');
+
+  const deckName = options.deckName || 'Vocab Tracker';
+  const now = options.now || new Date();
+  const nowMs = now.getTime();
+  const nowSeconds = Math.floor(nowMs / 1000);
+  const deckId = getNumericId(`deck||${deckName}`);
+  const modelId = getNumericId('model||Vocab Tracker');
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  try {
+    db.run(ANKI_SCHEMA);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      nowSeconds,
+      nowMs,
+      nowMs,
+      JSON.stringify({ activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true, dueCounts: true, curModel: String(modelId), nextPos: entries.length + 1, sortType: 'noteFld', sortBackwards: false, addToCur: true }),
+      JSON.stringify({ [modelId]: createAnkiModel(modelId, deckId, nowSeconds) }),
+      JSON.stringify({ 1: createAnkiDeck(1, 'Default', nowSeconds), [deckId]: createAnkiDeck(deckId, deckName, nowSeconds) }),
+      JSON.stringify({ 1: ANKI_DECK_CONFIG }),
+      '{}'
+    ]);
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+    entries.forEach((entry, index) => {
+      const guid = getNoteId(entry.key);
+      const noteId = getNumericId(`note||${guid}`);
+      const fields = getFieldValues(entry).map(escapeHtml);
+      const tags = [entry.topicName, entry.worksheetName].map(toAnkiTag).filter(Boolean);
+      insertNote.run([
+        noteId,
+        guid,
+        modelId,
+        nowSeconds,
+        tags.length > 0 ? ` ${tags.join(' ')} ` : '',
+        fields.join(ANKI_FIELD_SEPARATOR),
+        // Sort field and checksum are computed from the plain text of the first field
+        toText(entry.word.word),
+        parseInt(hashText(toText(entry.word.word)).slice(0, 8), 16)
+      ]);
+      insertCard.run([getNumericId(`card||${guid}`), noteId, deckId, nowSeconds, index + 1]);
+    });
+    insertNote.free();
+    insertCard.free();
+
+    const zip = new JSZip();
+    zip.file('collection.anki2', Buffer.from(db.export()));
+    zip.file('media', '{}');
+    return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Build an export file
+ * @param {Array} entries - Entries from selectExportWords
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - { deckName, now }
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+async function buildExport(entries, format, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (format === 'apkg') {
+    return { body: await buildApkg(entries, options), contentType: 'application/octet-stream', extension: 'apkg' };
+  }
+  if (format === 'csv') {
+    return { body: buildCsv(entries), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  }
+  if (format === 'tsv') {
+    return { body: buildTsv(entries), contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' };
+  }
+  return { body: buildQuizlet(entries), contentType: 'text/plain; charset=utf-8', extension: 'txt' };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  selectExportWords,
+  getNoteId,
+  buildExport
+};
@@ -0,0 +1,240 @@
+// Offline dictionary suggestions for empty word fields
+// Runs after transformVocabData: words with an empty pronunciation, part of speech or synonyms get
+// suggestions from bundled dictionaries (CMU Pronouncing Dictionary for IPA, WordNet 3.1 for part of
+// speech and synonyms). Everything is read from node_modules; there are no network lookups.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeHeadword } = require('./wordGroups');
+const { WORDNET_POS, loadIndex, findIndexLine, findBaseForms } = require('./wordNet');
+
+const ENRICHABLE_FIELDS = ['pronunciation', 'partOfSpeech', 'synonyms'];
+const MAX_SYNONYMS = 5;
+// Synonyms come from the most common senses only
+const MAX_SYNONYM_SENSES = 3;
+// The words of a synset are at the start of its line, so the first bytes are enough
+const SYNSET_READ_BYTES = 4096;
+const MAX_MEMO_ENTRIES = 50000;
+
+// ARPAbet (CMU dictionary) to IPA, General American
+const ARPABET_VOWELS = {
+  AA: 'ɑ', AE: 'æ', AH: 'ʌ', AO: 'ɔ', AW: 'aʊ', AY: 'aɪ', EH: 'ɛ', ER: 'ɝ',
+  EY: 'eɪ', IH: 'ɪ', IY: 'i', OW: 'oʊ', OY: 'ɔɪ', UH: 'ʊ', UW: 'u'
+};
+// Unstressed forms of the vowels that reduce
+const ARPABET_UNSTRESSED = { AH: 'ə', ER: 'ɚ' };
+const ARPABET_CONSONANTS = {
+  B: 'b', CH: 'tʃ', D: 'd', DH: 'ð', F: 'f', G: 'ɡ', HH: 'h', JH: 'dʒ', K: 'k', L: 'l', M: 'm', N: 'n',
+  NG: 'ŋ', P: 'p', R: 'r', S: 's', SH: 'ʃ', T: 't', TH: 'θ', V: 'v', W: 'w', Y: 'j', Z: 'z', ZH: 'ʒ'
+};
+// Two-consonant clusters that can start a syllable (the stress mark goes before them)
+const ONSET_CLUSTERS = new Set([
+  'P R', 'P L', 'B R', 'B L', 'T R', 'T W', 'D R', 'D W', 'K R', 'K L', 'K W', 'G R', 'G L',
+  'F R', 'F L', 'TH R', 'SH R', 'S P', 'S T', 'S K', 'S M', 'S N', 'S L', 'S W', 'P Y', 'B Y', 'K Y', 'M Y', 'F Y', 'HH Y'
+]);
+
+let dictionaryPromise = null;
+const memo = new Map();
+
+/**
+ * Convert a CMU dictionary pronunciation to IPA with a primary stress mark
+ * @param {string} arpabet - e.g. "D ER0 AY1 V"
+ * @returns {string} e.g. "dɚˈaɪv"
+ */
+function arpabetToIpa(arpabet) {
+  const phones = arpabet.trim().split(/\s+/);
+  const symbols = [];
+  let stressIndex = -1;
+
+  phones.forEach(phone => {
+    const match = phone.match(/^([A-Z]+)([012])?$/);
+    if (!match) return;
+    const [, base, stress] = match;
+    if (ARPABET_VOWELS[base]) {
+      if (stress === '1' && stressIndex === -1) {
+        // Move the mark before the consonants that start the stressed syllable
+        let onsetStart = symbols.length;
+        const previous = symbols.slice(-2).map(symbol => symbol.phone);
+        if (symbols.length >= 2 && ONSET_CLUSTERS.has(previous.join(' ')) && !symbols[symbols.length - 2].vowel) {
+          onsetStart = symbols.length - 2;
+        } else if (symbols.length >= 1 && !symbols[symbols.length - 1].vowel) {
+          onsetStart = symbols.length - 1;
+        }
+        stressIndex = onsetStart;
+      }
+      const ipa = stress === '0' && ARPABET_UNSTRESSED[base] ? ARPABET_UNSTRESSED[base] : ARPABET_VOWELS[base];
+      symbols.push({ phone: base, ipa, vowel: true });
+    } else if (ARPABET_CONSONANTS[base]) {
+      symbols.push({ phone: base, ipa: ARPABET_CONSONANTS[base], vowel: false });
+    }
+  });
+
+  // Words of one syllable are written without a stress mark
+  const vowelCount = symbols.filter(symbol => symbol.vowel).length;
+  return symbols.map((symbol, index) => (index === stressIndex && vowelCount > 1 ? 'ˈ' : '') + symbol.ipa).join('');
+}
+
+// lemma pos synset_cnt p_cnt [ptr_symbol...] sense_cnt tagsense_cnt synset_offset...
+function parseIndexLine(line) {
+  const parts = line.trim().split(' ');
+  const synsetCount = Number(parts[2]);
+  const pointerCount = Number(parts[3]);
+  const tagSenseCount = Number(parts[5 + pointerCount]);
+  return {
+    lemma: parts[0],
+    synsetCount,
+    tagSenseCount,
+    offsets: parts.slice(6 + pointerCount, 6 + pointerCount + synsetCount).map(Number)
+  };
+}
+
+async function loadWordNet() {
+  const dictPath = require('wordnet-db').path;
+  const wordnet = {};
+  await Promise.all(Object.entries(WORDNET_POS).map(async ([pos, { file }]) => {
+    wordnet[pos] = {
+      index: loadIndex(pos),
+      data: await fs.promises.open(path.join(dictPath, `data.${file}`), 'r')
+    };
+  }));
+  return wordnet;
+}
+
+/**
+ * Load the bundled dictionaries once (the first enrichment takes a moment)
+ * @returns {Promise<Object>} { pronunciations, wordnet }
+ */
+function loadDictionary() {
+  if (!dictionaryPromise) {
+    dictionaryPromise = Promise.all([
+      import('cmu-pronouncing-dictionary').then(module => module.dictionary),
+      loadWordNet()
+    ]).then(([pronunciations, wordnet]) => ({ pronunciations, wordnet }));
+    dictionaryPromise.catch(() => { dictionaryPromise = null; });
+  }
+  return dictionaryPromise;
+}
+
+async function readSynsetWords(wordnet, pos, offset) {
+  const { buffer, bytesRead } = await wordnet[pos].data.read(Buffer.alloc(SYNSET_READ_BYTES), 0, SYNSET_READ_BYTES, offset);
+  // synset_offset lex_filenum ss_type w_cnt word lex_id [word lex_id...] ...
+  const parts = buffer.toString('utf8', 0, bytesRead).split('\n')[0].split(' ');
+  const wordCount = parseInt(parts[3], 16);
+  const words = [];
+  for (let i = 0; i < wordCount; i++) {
+    words.push(parts[4 + i * 2].replace(/\([a-z]+\)$/, '').replace(/_/g, ' '));
+  }
+  return words;
+}
+
+// Index entry of the word in one part of speech: the word itself, or its base form
+function findWordNetEntry(wordnet, pos, lemma) {
+  const line = findIndexLine(wordnet[pos].index, lemma);
+  if (line) return { ...parseIndexLine(line), exact: true };
+
+  const [base] = findBaseForms(pos, lemma);
+  return base ? { ...parseIndexLine(findIndexLine(wordnet[pos].index, base)), exact: false } : null;
+}
+
+function lookupPronunciation(pronunciations, headword) {
+  const tokens = headword.split(' ').filter(Boolean);
+  const ipa = tokens.map(token => {
+    const arpabet = pronunciations[token];
+    return arpabet ? arpabetToIpa(arpabet) : null;
+  });
+  return ipa.length > 0 && ipa.every(Boolean) ? `/${ipa.join(' ')}/` : null;
+}
+
+async function lookupWordNet(wordnet, headword) {
+  const lemma = headword.replace(/ /g, '_');
+  const entries = Object.keys(WORDNET_POS)
+    .map(pos => ({ pos, entry: findWordNetEntry(wordnet, pos, lemma) }))
+    .filter(({ entry }) => entry);
+  if (entries.length === 0) return { partOfSpeech: null, synonyms: null };
+
+  // The form as written wins over a base form, then the most frequent sense in tagged texts
+  entries.sort((a, b) => (b.entry.exact - a.entry.exact) ||
+    (b.entry.tagSenseCount - a.entry.tagSenseCount) ||
+    (b.entry.synsetCount - a.entry.synsetCount));
+  const best = entries[0];
+
+  const synonyms = [];
+  const baseWord = best.entry.lemma.replace(/_/g, ' ');
+  for (const offset of best.entry.offsets.slice(0, MAX_SYNONYM_SENSES)) {
+    const words = await readSynsetWords(wordnet, best.pos, offset);
+    words.forEach(word => {
+      const lower = word.toLowerCase();
+      if (lower !== headword && lower !== baseWord && !synonyms.some(synonym => synonym.toLowerCase() === lower)) {
+        synonyms.push(word);
+      }
+    });
+  }
+
+  return {
+    partOfSpeech: WORDNET_POS[best.pos].label,
+    synonyms: synonyms.length > 0 ? synonyms.slice(0, MAX_SYNONYMS).join(', ') : null
+  };
+}
+
+/**
+ * Look up a word in the bundled dictionaries
+ * @param {string} text - Word as written in the sheet ("to derive (from)" is looked up as "derive")
+ * @returns {Promise<Object|null>} { pronunciation, partOfSpeech, synonyms } (null fields when unknown), or null for an empty word
+ */
+async function lookupWord(text) {
+  const headword = normalizeHeadword(text);
+  if (!headword) return null;
+  if (memo.has(headword)) return memo.get(headword);
+
+  const { pronunciations, wordnet } = await loadDictionary();
+  const result = {
+    pronunciation: lookupPronunciation(pronunciations, headword),
+    ...(await lookupWordNet(wordnet, headword))
+  };
+
+  if (memo.size >= MAX_MEMO_ENTRIES) memo.clear();
+  memo.set(headword, result);
+  return result;
+}
+
+/**
+ * Suggest values for the empty fields of every word. The sheet data is left unchanged (it may be
+ * about to be cached); suggestions are returned separately, keyed by worksheet and row number.
+ * Fields the worksheet has no column for are skipped, since a suggestion could not be accepted.
+ * @param {Object} data - Sheet data from transformVocabData or combineSheetData
+ * @returns {Promise<Object>} { [worksheetName]: { [rowNumber]: { [field]: { value, source } } } }
+ */
+async function suggestFieldValues(data) {
+  const suggestions = {};
+
+  for (const worksheet of (data && data.worksheets || [])) {
+    const fields = ENRICHABLE_FIELDS.filter(field => !worksheet.columns || worksheet.columns[field] !== undefined);
+    for (const topic of (worksheet.topics || [])) {
+      for (const word of (topic.words || [])) {
+        const emptyFields = fields.filter(field => !(word[field] || '').toString().trim());
+        if (emptyFields.length === 0) continue;
+
+        const found = await lookupWord(word.word);
+        if (!found) continue;
+        emptyFields.forEach(field => {
+          if (!found[field]) return;
+          const rows = suggestions[worksheet.name] = suggestions[worksheet.name] || {};
+          const row = rows[word.rowNumber] = rows[word.rowNumber] || {};
+          row[field] = {
+            value: found[field],
+            source: field === 'pronunciation' ? 'cmudict' : 'wordnet'
+          };
+        });
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  ENRICHABLE_FIELDS,
+  arpabetToIpa,
+  lookupWord,
+  suggestFieldValues
+};
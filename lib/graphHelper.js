@@ -1,287 +1,614 @@
 // Microsoft Graph Helper
 require('isomorphic-fetch');
-const azure = require('@azure/identity');
+const msal = require('@azure/msal-node');
 const graph = require('@microsoft/microsoft-graph-client');
-const authProviders = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
 
-let _settings = undefined;
-let _deviceCodeCredential = undefined;
-let _userClient = undefined;
-let _cachedToken = null;
+// Thrown when the refresh token is missing, expired or revoked and the user has to sign in again
+class ReloginRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReloginRequiredError';
+    this.reloginRequired = true;
+  }
+}
 
-// Initialize Graph with token cache
-function initializeGraphForUserAuth(settings, cachedToken, deviceCodePrompt) {
+// MSAL cache plugin that keeps the serialized token cache (accounts, access and refresh tokens)
+// in a { load(), save(value) } store, e.g. a document in the app's storage backend
+function createCachePlugin(tokenCache) {
+  return {
+    async beforeCacheAccess(cacheContext) {
+      const stored = await tokenCache.load();
+      if (stored) {
+        cacheContext.tokenCache.deserialize(JSON.stringify(stored));
+      }
+    },
+    async afterCacheAccess(cacheContext) {
+      if (cacheContext.cacheHasChanged) {
+        await tokenCache.save(JSON.parse(cacheContext.tokenCache.serialize()));
+      }
+    }
+  };
+}
+
+// Authority metadata for overridden authorize/token endpoints (e.g. a local mock of the
+// Microsoft identity platform), so MSAL skips endpoint discovery and calls them directly
+function buildAuthorityMetadata(settings) {
+  if (!settings.authorizeEndpoint && !settings.tokenEndpoint) return undefined;
+
+  const base = `https://login.microsoftonline.com/${settings.tenantId}/oauth2/v2.0`;
+  return JSON.stringify({
+    authorization_endpoint: settings.authorizeEndpoint || `${base}/authorize`,
+    token_endpoint: settings.tokenEndpoint || `${base}/token`,
+    end_session_endpoint: `${base}/logout`,
+    issuer: 'https://login.microsoftonline.com/{tenantid}/v2.0',
+    jwks_uri: `https://login.microsoftonline.com/${settings.tenantId}/discovery/v2.0/keys`
+  });
+}
+
+// Initialize Graph for one app user with its own device code flow and token cache.
+// Every app user gets a separate session so their sign-ins never overwrite each other.
+// options: { tokenCache: { load(), save(value) }, client }
+// (client replaces the MSAL PublicClientApplication, e.g. with a mock in tests)
+function initializeGraphForUserAuth(settings, options = {}) {
   if (!settings) {
     throw new Error('Settings cannot be undefined');
   }
 
-  _settings = settings;
-  _cachedToken = cachedToken;
+  const { tokenCache } = options;
+  const authorityMetadata = buildAuthorityMetadata(settings);
+  const client = options.client || new msal.PublicClientApplication({
+    auth: {
+      clientId: settings.clientId,
+      authority: `https://login.microsoftonline.com/${settings.tenantId}`,
+      authorityMetadata,
+      knownAuthorities: authorityMetadata ? ['login.microsoftonline.com'] : undefined
+    },
+    cache: tokenCache ? { cachePlugin: createCachePlugin(tokenCache) } : undefined
+  });
+
+  let currentToken = null;
+  let account = null;
+
+  function rememberResult(result) {
+    account = result.account;
+    currentToken = {
+      token: result.accessToken,
+      expiresOn: result.expiresOn ? new Date(result.expiresOn).getTime() : null
+    };
+    return currentToken;
+  }
+
+  async function getAccount() {
+    if (!account) {
+      const accounts = await client.getTokenCache().getAllAccounts();
+      account = accounts[0] || null;
+    }
+    return account;
+  }
 
-  _deviceCodeCredential = new azure.DeviceCodeCredential({
-    clientId: settings.clientId,
-    tenantId: settings.tenantId,
-    userPromptCallback: deviceCodePrompt
+  // Renew from the cache: returns the cached access token while it is valid, otherwise
+  // redeems the refresh token. Never starts a device code prompt.
+  async function acquireTokenSilent(forceRefresh = false) {
+    const signedInAccount = await getAccount();
+    if (!signedInAccount) {
+      throw new ReloginRequiredError('No saved Microsoft sign-in. Please sign in again.');
+    }
+
+    try {
+      const result = await client.acquireTokenSilent({
+        account: signedInAccount,
+        scopes: settings.graphUserScopes,
+        forceRefresh
+      });
+      return rememberResult(result);
+    } catch (err) {
+      // invalid_grant means the refresh token expired or was revoked
+      if (err instanceof msal.InteractionRequiredAuthError || err.errorCode === 'invalid_grant') {
+        throw new ReloginRequiredError(`Microsoft sign-in expired: ${err.errorMessage || err.message}`);
+      }
+      throw err;
+    }
+  }
+
+  const userClient = graph.Client.initWithMiddleware({
+    authProvider: {
+      getAccessToken: async () => (await acquireTokenSilent()).token
+    }
   });
 
-  // Custom credential wrapper that uses cached token
-  const cachedCredential = {
-    getToken: async (scopes) => {
-      // Check if cached token is still valid
-      if (_cachedToken && _cachedToken.expiresOn) {
-        const expiresOn = new Date(_cachedToken.expiresOn);
-        if (expiresOn > new Date(Date.now() + 5 * 60 * 1000)) {
-          return {
-            token: _cachedToken.token,
-            expiresOnTimestamp: new Date(_cachedToken.expiresOn).getTime()
-          };
+  return {
+    // Get current cached token
+    getCachedToken() {
+      return currentToken;
+    },
+
+    // Whether the token cache holds a signed-in account (i.e. a refresh token to renew with)
+    async hasAccount() {
+      return Boolean(await getAccount());
+    },
+
+    // Sign in with the device code flow; onDeviceCode receives { userCode, verificationUri, message }
+    async acquireTokenByDeviceCode(onDeviceCode) {
+      const result = await client.acquireTokenByDeviceCode({
+        scopes: settings.graphUserScopes,
+        deviceCodeCallback: (response) => {
+          if (onDeviceCode) onDeviceCode(response);
         }
-      }
+      });
+      return rememberResult(result);
+    },
+
+    // Start the authorization code flow with PKCE: returns the sign-in URL and the code verifier
+    // to keep until the callback
+    async getAuthCodeUrl(redirectUri, state) {
+      const pkce = await new msal.CryptoProvider().generatePkceCodes();
+      const url = await client.getAuthCodeUrl({
+        scopes: settings.graphUserScopes,
+        redirectUri,
+        state,
+        codeChallenge: pkce.challenge,
+        codeChallengeMethod: 'S256'
+      });
+      return { url, codeVerifier: pkce.verifier };
+    },
+
+    // Finish the authorization code flow by redeeming the code from the callback
+    async acquireTokenByCode(code, redirectUri, codeVerifier) {
+      const result = await client.acquireTokenByCode({
+        code,
+        scopes: settings.graphUserScopes,
+        redirectUri,
+        codeVerifier
+      });
+      return rememberResult(result);
+    },
 
-      // Get new token
-      const response = await _deviceCodeCredential.getToken(scopes);
-      _cachedToken = {
-        token: response.token,
-        expiresOn: response.expiresOnTimestamp
-      };
-      return response;
+    acquireTokenSilent,
+
+    // Get user information
+    async getUserAsync() {
+      return userClient.api('/me')
+        .select(['displayName', 'mail', 'userPrincipalName'])
+        .get();
     }
   };
+}
 
-  const authProvider = new authProviders.TokenCredentialAuthenticationProvider(
-    cachedCredential, {
-      scopes: settings.graphUserScopes
-    });
+// Error from a Graph request; throttled requests (429/503) carry the Retry-After delay
+class GraphRequestError extends Error {
+  constructor(message, status, retryAfterMs = null) {
+    super(message);
+    this.name = 'GraphRequestError';
+    this.status = status;
+    this.throttled = status === 429 || status === 503;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
 
-  _userClient = graph.Client.initWithMiddleware({
-    authProvider: authProvider
-  });
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
 }
 
-// Get current cached token
-function getCachedToken() {
-  return _cachedToken;
+function createResponseError(response, message) {
+  return new GraphRequestError(
+    `${message}: ${response.statusText || response.status}`,
+    response.status,
+    parseRetryAfter(response.headers && response.headers.get('Retry-After'))
+  );
 }
 
 // Helper function to get bearer token for API calls
 async function getBearerToken(serverToken = null) {
-  // If server token is provided, use it (for server-side calls)
-  if (serverToken) {
-    return serverToken;
+  if (!serverToken) {
+    throw new Error('No token available');
   }
-  
-  if (!_cachedToken || !_cachedToken.token) {
-    throw new Error('No cached token available');
+  return serverToken;
+}
+
+// Version of a workbook as reported by the driveItem; changes whenever the file is saved
+function getItemVersion(driveItem) {
+  return {
+    eTag: driveItem.eTag || null,
+    lastModifiedDateTime: driveItem.lastModifiedDateTime || null
+  };
+}
+
+// Whether two item versions describe the same saved file (eTag first, modification time as a fallback)
+function isSameVersion(a, b) {
+  if (!a || !b) return false;
+  if (a.eTag && b.eTag) return a.eTag === b.eTag;
+  return Boolean(a.lastModifiedDateTime) && a.lastModifiedDateTime === b.lastModifiedDateTime;
+}
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+// Graph accepts at most 20 requests in one $batch
+const MAX_BATCH_REQUESTS = 20;
+
+// Sharing URLs one drive item cache remembers; the least recently used is dropped first
+const MAX_DRIVE_ITEMS = 50;
+
+/**
+ * Create a drive item cache: the driveId/itemId (and file name) of each sharing URL, so later reads skip the
+ * /shares lookup. The ids were resolved with one user's token, so every app user needs their own cache.
+ * @param {number} maxEntries - Most sharing URLs to remember
+ * @returns {Object} { get(sharingUrl), set(sharingUrl, location), delete(sharingUrl), size }
+ */
+function createDriveItemCache(maxEntries = MAX_DRIVE_ITEMS) {
+  const items = new Map();
+  return {
+    get(sharingUrl) {
+      const location = items.get(sharingUrl);
+      if (location) {
+        // Map keeps insertion order: move it to the end as the most recently used
+        items.delete(sharingUrl);
+        items.set(sharingUrl, location);
+      }
+      return location;
+    },
+    set(sharingUrl, location) {
+      items.delete(sharingUrl);
+      items.set(sharingUrl, location);
+      if (items.size > maxEntries) {
+        items.delete(items.keys().next().value);
+      }
+    },
+    delete(sharingUrl) {
+      items.delete(sharingUrl);
+    },
+    get size() {
+      return items.size;
+    }
+  };
+}
+
+// Convert a sharing URL to a sharing token for /shares/{token}
+function encodeSharingUrl(sharingUrl) {
+  const base64Value = Buffer.from(sharingUrl).toString('base64');
+  return 'u!' + base64Value.replace(/=+$/g, '').replaceAll('/', '_').replaceAll('+', '-');
+}
+
+function getItemPath(location) {
+  return `/drives/${location.driveId}/items/${location.itemId}`;
+}
+
+// Look up the drive item behind a sharing URL and remember its location in the user's drive item cache
+async function resolveSharedItemAsync(sharingUrl, headers, driveItems) {
+  console.log('Fetching shared item metadata...');
+  const sharedItemResponse = await fetch(`${GRAPH_BASE_URL}/shares/${encodeSharingUrl(sharingUrl)}/driveItem`, {
+    headers
+  });
+
+  if (!sharedItemResponse.ok) {
+    throw createResponseError(sharedItemResponse, 'Failed to fetch shared item');
   }
-  
-  // Check if token is still valid
-  if (_cachedToken.expiresOn) {
-    const expiresOn = new Date(_cachedToken.expiresOn);
-    if (expiresOn <= new Date(Date.now() + 5 * 60 * 1000)) {
-      throw new Error('Token expired or expires soon');
+
+  const sharedItem = await sharedItemResponse.json();
+  console.log('Shared item:', sharedItem.name, `(${sharedItem.id})`);
+
+  const location = {
+    driveId: sharedItem.parentReference.driveId,
+    itemId: sharedItem.id,
+    name: sharedItem.name
+  };
+  if (driveItems) driveItems.set(sharingUrl, location);
+  return location;
+}
+
+// Run a request against the drive item of a sharing URL. Cached ids (driveItems from createDriveItemCache)
+// are used first; when they went stale (404, e.g. the file was replaced) or are no longer accessible
+// (403, e.g. the file moved or sharing changed) the share is resolved again and the request retried once.
+async function withDriveItem(sharingUrl, headers, driveItems, request) {
+  const cached = driveItems ? driveItems.get(sharingUrl) : null;
+  if (cached) {
+    try {
+      return await request(cached);
+    } catch (err) {
+      if (!(err instanceof GraphRequestError) || (err.status !== 403 && err.status !== 404)) throw err;
+      console.log(`Cached drive item failed (${err.status}), resolving the sharing link again`);
+      driveItems.delete(sharingUrl);
     }
   }
-  
-  return _cachedToken.token;
+  return request(await resolveSharedItemAsync(sharingUrl, headers, driveItems));
+}
+
+// Error for one response of a $batch (headers are a plain object there)
+function createBatchResponseError(response, message) {
+  const headers = response.headers || {};
+  const detail = response.body && response.body.error && response.body.error.message;
+  return new GraphRequestError(
+    `${message}: ${detail || response.status}`,
+    response.status,
+    parseRetryAfter(headers['Retry-After'] || headers['retry-after'])
+  );
 }
 
-// Get user information
-async function getUserAsync() {
-  if (!_userClient) {
-    throw new Error('Graph has not been initialized for user auth');
+/**
+ * Send GET requests through the Graph $batch endpoint (split into batches of 20)
+ * @param {Array} requests - [{ id, url }] with URLs relative to /v1.0
+ * @param {Object} headers - Request headers with the bearer token
+ * @returns {Promise<Object>} Map of request id -> { status, headers, body }
+ * @throws {GraphRequestError} When a batch or any of its requests is throttled
+ */
+async function sendBatchAsync(requests, headers) {
+  const responses = {};
+
+  for (let start = 0; start < requests.length; start += MAX_BATCH_REQUESTS) {
+    const chunk = requests.slice(start, start + MAX_BATCH_REQUESTS);
+    const batchResponse = await fetch(`${GRAPH_BASE_URL}/$batch`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        requests: chunk.map(request => ({ id: String(request.id), method: 'GET', url: request.url }))
+      })
+    });
+
+    if (!batchResponse.ok) {
+      throw createResponseError(batchResponse, 'Failed to send batch request');
+    }
+
+    const batch = await batchResponse.json();
+    (batch.responses || []).forEach(response => {
+      // Throttling affects the whole workbook: let the caller back off
+      if (response.status === 429 || response.status === 503) {
+        throw createBatchResponseError(response, 'Graph request throttled');
+      }
+      responses[response.id] = response;
+    });
   }
 
-  return _userClient.api('/me')
-    .select(['displayName', 'mail', 'userPrincipalName'])
-    .get();
+  return responses;
 }
 
-// Read Excel file from SharePoint/OneDrive sharing link
-async function readExcelFileAsync(sharingUrl, sheetName = '', serverToken = null) {
-  // Convert sharing URL to sharing token
-  const base64Value = Buffer.from(sharingUrl).toString('base64');
-  const encodedUrl = 'u!' + base64Value.replace(/==$/, '').replaceAll('/', '_').replaceAll('+', '-');
+// Downloaded used range of a worksheet, or its error
+function toWorksheetData(worksheet, response) {
+  if (!response || response.status !== 200) {
+    return {
+      name: worksheet.name,
+      error: response ? createBatchResponseError(response, 'Failed to fetch range data').message : 'Failed to fetch range data'
+    };
+  }
 
+  const range = response.body;
+  return {
+    name: worksheet.name,
+    range: range.address,
+    rowCount: range.rowCount,
+    columnCount: range.columnCount,
+    values: range.values
+  };
+}
+
+/**
+ * Read several worksheets of a shared workbook in two round trips: the item metadata and worksheet list
+ * come in one $batch, and the used ranges of every requested worksheet in another.
+ * @param {string} sharingUrl - SharePoint/OneDrive sharing link
+ * @param {Array} sheetNames - Worksheet names to read ('' reads every worksheet)
+ * @param {string} serverToken - Graph access token
+ * @param {Object} options - { knownVersions: { sheetName: version of the cached copy }, driveItems: the user's
+ *   drive item cache (createDriveItemCache); without it the share is looked up every time }
+ * @returns {Promise<Object>} sheetName -> { fileName, fileSize, version, worksheets } or { error }. A sheet whose
+ *   known version still matches the file is not downloaded and has unchanged: true and no worksheets.
+ */
+async function readExcelSheetsAsync(sharingUrl, sheetNames, serverToken = null, options = {}) {
+  const { knownVersions = {}, driveItems = null } = options;
   const token = await getBearerToken(serverToken);
   const headers = {
     'Authorization': `Bearer ${token}`,
     'Content-Type': 'application/json'
   };
 
-  // Get the shared item metadata
-  console.log("Fetching shared item metadata...");
-  const sharedItemResponse = await fetch(`https://graph.microsoft.com/v1.0/shares/${encodedUrl}/driveItem`, {
-    headers
-  });
-  
-  if (!sharedItemResponse.ok) {
-    throw new Error(`Failed to fetch shared item: ${sharedItemResponse.statusText}`);
-  }
-  
-  const sharedItem = await sharedItemResponse.json();
-  console.log("Shared item:", sharedItem.name, `(${sharedItem.id})`);
+  const { location, driveItem, worksheets } = await withDriveItem(sharingUrl, headers, driveItems, async (location) => {
+    const itemPath = getItemPath(location);
+    const responses = await sendBatchAsync([
+      { id: 'item', url: `${itemPath}?$select=id,name,size,eTag,lastModifiedDateTime` },
+      { id: 'worksheets', url: `${itemPath}/workbook/worksheets?$select=id,name,position` }
+    ], headers);
 
-  // Extract drive ID and item ID
-  const driveId = sharedItem.parentReference.driveId;
-  const itemId = sharedItem.id;
+    if (responses.item.status !== 200) {
+      throw createBatchResponseError(responses.item, 'Failed to fetch shared item');
+    }
+    if (responses.worksheets.status !== 200) {
+      throw createBatchResponseError(responses.worksheets, 'Failed to fetch worksheets');
+    }
+    return { location, driveItem: responses.item.body, worksheets: responses.worksheets.body.value };
+  });
 
-  const result = {
-    fileName: sharedItem.name,
-    fileSize: sharedItem.size,
-    worksheets: []
+  const file = {
+    fileName: driveItem.name,
+    fileSize: driveItem.size,
+    version: getItemVersion(driveItem)
   };
+  console.log('Found worksheets:', worksheets.map(ws => ws.name));
 
-  if (sheetName) {
-    // Get specific worksheet by name
-    try {
-      const worksheetsResponse = await fetch(`https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/workbook/worksheets`, {
-        headers
-      });
-      
-      if (!worksheetsResponse.ok) {
-        throw new Error(`Failed to fetch worksheets: ${worksheetsResponse.statusText}`);
-      }
-      
-      const worksheetsData = await worksheetsResponse.json();
-      console.log("Found worksheets:", worksheetsData.value.map(ws => ws.name));
-      
-      const targetWorksheet = worksheetsData.value.find(ws => 
+  // Worksheets each sheet name needs, and every worksheet to download (once, even if several names match it)
+  const results = {};
+  const targets = {};
+  const toDownload = [];
+  sheetNames.forEach(sheetName => {
+    if (isSameVersion(knownVersions[sheetName], file.version)) {
+      console.log(`Workbook unchanged since last sync, skipping range download of "${sheetName || 'default'}"`);
+      results[sheetName] = { ...file, worksheets: [], unchanged: true };
+      return;
+    }
+
+    // A specific worksheet by name, or every worksheet
+    let targetWorksheets = worksheets;
+    if (sheetName) {
+      const targetWorksheet = worksheets.find(ws =>
         ws.name.toLowerCase().includes(sheetName.toLowerCase())
       );
-      
       if (!targetWorksheet) {
-        const availableSheets = worksheetsData.value.map(ws => ws.name).join(', ');
-        throw new Error(`Sheet "${sheetName}" not found. Available sheets: ${availableSheets}`);
+        const availableSheets = worksheets.map(ws => ws.name).join(', ');
+        results[sheetName] = { error: new Error(`Failed to fetch worksheet "${sheetName}": Sheet "${sheetName}" not found. Available sheets: ${availableSheets}`) };
+        return;
       }
-
-      // Read data from the specific worksheet
-      try {
-        const rangeResponse = await fetch(`https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/workbook/worksheets/${targetWorksheet.id}/usedRange?$select=address,rowCount,columnCount,values&valuesOnly=true`, {
-          headers
-        });
-        
-        if (!rangeResponse.ok) {
-          throw new Error(`Failed to fetch range data: ${rangeResponse.statusText}`);
-        }
-        
-        const range = await rangeResponse.json();
-
-        result.worksheets.push({
-          name: targetWorksheet.name,
-          range: range.address,
-          rowCount: range.rowCount,
-          columnCount: range.columnCount,
-          values: range.values
-        });
-      } catch (err) {
-        result.worksheets.push({
-          name: targetWorksheet.name,
-          error: err.message
-        });
-      }
-    } catch (err) {
-      throw new Error(`Failed to fetch worksheet "${sheetName}": ${err.message}`);
+      targetWorksheets = [targetWorksheet];
     }
-  } else {
-    // Get all worksheets (original behavior)
-    const worksheetsResponse = await fetch(`https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/workbook/worksheets`, {
+
+    targets[sheetName] = targetWorksheets;
+    targetWorksheets.forEach(worksheet => {
+      if (!toDownload.includes(worksheet)) toDownload.push(worksheet);
+    });
+  });
+
+  if (toDownload.length > 0) {
+    const itemPath = getItemPath(location);
+    const ranges = await sendBatchAsync(toDownload.map((worksheet, index) => ({
+      id: index,
+      url: `${itemPath}/workbook/worksheets/${encodeURIComponent(worksheet.id)}/usedRange?$select=address,rowCount,columnCount,values`
+    })), headers);
+
+    const worksheetData = new Map(toDownload.map((worksheet, index) => [worksheet, toWorksheetData(worksheet, ranges[index])]));
+    Object.entries(targets).forEach(([sheetName, targetWorksheets]) => {
+      results[sheetName] = { ...file, worksheets: targetWorksheets.map(worksheet => worksheetData.get(worksheet)) };
+    });
+  }
+
+  return results;
+}
+
+// Read Excel file from SharePoint/OneDrive sharing link (one sheet name, see readExcelSheetsAsync)
+// When knownVersion (from a previous read) still matches the file, the worksheet ranges are not
+// downloaded and the result has unchanged: true and no worksheets.
+async function readExcelFileAsync(sharingUrl, sheetName = '', serverToken = null, knownVersion = null, driveItems = null) {
+  const results = await readExcelSheetsAsync(sharingUrl, [sheetName], serverToken, {
+    knownVersions: { [sheetName]: knownVersion },
+    driveItems
+  });
+  if (results[sheetName].error) {
+    throw results[sheetName].error;
+  }
+  return results[sheetName];
+}
+
+// Get list of worksheet names only (lightweight)
+async function getWorksheetListAsync(sharingUrl, serverToken = null, driveItems = null) {
+  const token = await getBearerToken(serverToken);
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+
+  console.log('Fetching worksheet list...');
+  return withDriveItem(sharingUrl, headers, driveItems, async (location) => {
+    // Get worksheets metadata only
+    const worksheetsResponse = await fetch(`${GRAPH_BASE_URL}${getItemPath(location)}/workbook/worksheets?$select=id,name,position`, {
       headers
     });
     
     if (!worksheetsResponse.ok) {
-      throw new Error(`Failed to fetch worksheets: ${worksheetsResponse.statusText}`);
+      throw createResponseError(worksheetsResponse, 'Failed to fetch worksheets');
     }
     
     const worksheetsData = await worksheetsResponse.json();
-    console.log("Found worksheets:", worksheetsData.value.map(ws => ws.name));
-
-    // Read data from each worksheet
-    for (const worksheet of worksheetsData.value) {
-      try {
-        const rangeResponse = await fetch(`https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheet.id}/usedRange?$select=address,rowCount,columnCount,values`, {
-          headers
-        });
-        
-        if (!rangeResponse.ok) {
-          throw new Error(`Failed to fetch range data: ${rangeResponse.statusText}`);
-        }
-        
-        const range = await rangeResponse.json();
-
-        result.worksheets.push({
-          name: worksheet.name,
-          range: range.address,
-          rowCount: range.rowCount,
-          columnCount: range.columnCount,
-          values: range.values
-        });
-      } catch (err) {
-        result.worksheets.push({
-          name: worksheet.name,
-          error: err.message
-        });
-      }
-    }
+    console.log('Found worksheets:', worksheetsData.value.map(ws => ws.name));
+    
+    return {
+      fileName: location.name,
+      worksheets: worksheetsData.value.map(ws => ({
+        id: ws.id,
+        name: ws.name,
+        position: ws.position
+      })).sort((a, b) => a.position - b.position)
+    };
+  });
+}
+
+/**
+ * Convert a column letter or 0-based index to a 0-based index
+ * @param {string|number} column - "D", "AB" or 3
+ * @returns {number|null} Column index, or null if invalid
+ */
+function parseColumnRef(column) {
+  if (typeof column === 'number') {
+    return Number.isInteger(column) && column >= 0 ? column : null;
   }
+  const letters = String(column || '').trim().toUpperCase();
+  if (!/^[A-Z]{1,3}$/.test(letters)) return null;
+  return letters.split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
 
-  return result;
+/**
+ * Convert a 0-based column index to a column letter
+ * @param {number} index - Column index
+ * @returns {string} Column letter (0 -> A, 27 -> AB)
+ */
+function getColumnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
 }
 
-// Get list of worksheet names only (lightweight)
-async function getWorksheetListAsync(sharingUrl, serverToken = null) {
-  // Convert sharing URL to sharing token
-  const base64Value = Buffer.from(sharingUrl).toString('base64');
-  const encodedUrl = 'u!' + base64Value.replace(/=+$/g, '').replaceAll('/', '_').replaceAll('+', '-');
+// Build the A1 address of a cell inside a usedRange
+// rowNumber is 1-based within the range values (as captured by parseWord),
+// columnIndex is 0-based within the range values
+function getCellAddress(rangeAddress, rowNumber, columnIndex) {
+  let startRow = 1;
+  let startColumn = 0;
+
+  // usedRange addresses look like "vocabKhi!B3:L500" (the sheet part may be quoted)
+  const match = /^\$?([A-Z]{1,3})\$?(\d+)/i.exec(String(rangeAddress || '').split('!').pop());
+  if (match) {
+    startColumn = parseColumnRef(match[1]);
+    startRow = parseInt(match[2], 10);
+  }
+
+  return `${getColumnLetter(startColumn + columnIndex)}${startRow + rowNumber - 1}`;
+}
 
+// Write a single cell value to a worksheet in a shared workbook
+async function updateCellAsync(sharingUrl, worksheetName, cellAddress, value, serverToken = null, driveItems = null) {
   const token = await getBearerToken(serverToken);
   const headers = {
     'Authorization': `Bearer ${token}`,
     'Content-Type': 'application/json'
   };
 
-  // Get the shared item metadata
-  console.log('Fetching worksheet list...');
-  const sharedItemResponse = await fetch(`https://graph.microsoft.com/v1.0/shares/${encodedUrl}/driveItem`, {
-    headers
-  });
-  
-  if (!sharedItemResponse.ok) {
-    throw new Error(`Failed to fetch shared item: ${sharedItemResponse.statusText}`);
-  }
-  
-  const sharedItem = await sharedItemResponse.json();
-  
-  // Extract drive ID and item ID
-  const driveId = sharedItem.parentReference.driveId;
-  const itemId = sharedItem.id;
+  console.log(`Updating cell ${worksheetName}!${cellAddress}...`);
+  return withDriveItem(sharingUrl, headers, driveItems, async (location) => {
+    const updateResponse = await fetch(`${GRAPH_BASE_URL}${getItemPath(location)}/workbook/worksheets/${encodeURIComponent(worksheetName)}/range(address='${cellAddress}')`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify({ values: [[value]] })
+    });
 
-  // Get worksheets metadata only
-  const worksheetsResponse = await fetch(`https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/workbook/worksheets?$select=id,name,position`, {
-    headers
+    if (!updateResponse.ok) {
+      if (updateResponse.status === 403) {
+        // Typed like the read errors, so withDriveItem resolves stale ids again before giving up
+        throw new GraphRequestError('Permission denied writing to the workbook. Please re-authenticate to grant write access.', 403);
+      }
+      throw createResponseError(updateResponse, 'Failed to update cell');
+    }
+
+    const range = await updateResponse.json();
+    return {
+      address: range.address,
+      values: range.values
+    };
   });
-  
-  if (!worksheetsResponse.ok) {
-    throw new Error(`Failed to fetch worksheets: ${worksheetsResponse.statusText}`);
-  }
-  
-  const worksheetsData = await worksheetsResponse.json();
-  console.log('Found worksheets:', worksheetsData.value.map(ws => ws.name));
-  
-  return {
-    fileName: sharedItem.name,
-    worksheets: worksheetsData.value.map(ws => ({
-      id: ws.id,
-      name: ws.name,
-      position: ws.position
-    })).sort((a, b) => a.position - b.position)
-  };
 }
 
 module.exports = {
+  ReloginRequiredError,
+  GraphRequestError,
   initializeGraphForUserAuth,
-  getCachedToken,
+  createDriveItemCache,
   getBearerToken,
-  getUserAsync,
+  readExcelSheetsAsync,
   readExcelFileAsync,
-  getWorksheetListAsync
+  getWorksheetListAsync,
+  parseColumnRef,
+  getColumnLetter,
+  getCellAddress,
+  updateCellAsync
 };
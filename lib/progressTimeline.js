@@ -0,0 +1,188 @@
+// Learning progress over time
+// Buckets words by the week or month they were captured (column K) and keeps daily byFlag snapshots
+
+const { calculateStatistics } = require('./dataTransformer');
+
+const TIMELINE_GRANULARITIES = ['week', 'month'];
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Serial numbers outside these years are other numbers typed into the date column (an order, a count)
+const MIN_SERIAL_YEAR = 1990;
+// Keep about two years of daily snapshots per workbook
+const MAX_SNAPSHOTS = 730;
+
+/**
+ * Parse the capture date of a word (Excel serial number, m/d/yyyy text or ISO text)
+ * Impossible dates such as 2/30 count as undated instead of rolling over into the next month's bucket,
+ * and so do serial numbers outside 1990 to next year
+ * @param {number|string} value - Value of column K (serial numbers arrive as text from CSV imports, e.g. "46030")
+ * @returns {Date|null} Date at UTC midnight, or null if it cannot be parsed
+ */
+function parseCaptureDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = value.toString().trim();
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(text)) {
+    const serial = Number(text);
+    if (!Number.isFinite(serial) || serial <= 0) return null;
+    const date = new Date(EXCEL_EPOCH_MS + Math.floor(serial) * DAY_MS);
+    const year = date.getUTCFullYear();
+    if (!(year >= MIN_SERIAL_YEAR && year <= new Date().getUTCFullYear() + 1)) return null;
+    return date;
+  }
+
+  const parts = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (parts) {
+    return createUtcDate(Number(parts[3]), Number(parts[1]), Number(parts[2]));
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return createUtcDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  return null;
+}
+
+// Date at UTC midnight, or null when Date.UTC would roll the day over into another month
+function createUtcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Get the first day of the bucket a date falls into
+ * @param {Date} date - Date at UTC midnight
+ * @param {string} granularity - 'week' (weeks start on Monday) or 'month'
+ * @returns {Date} Bucket start
+ */
+function getBucketStart(date, granularity) {
+  if (granularity === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - daysSinceMonday * DAY_MS);
+}
+
+function getNextBucketStart(start, granularity) {
+  if (granularity === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+  return new Date(start.getTime() + 7 * DAY_MS);
+}
+
+function formatBucketKey(start, granularity) {
+  const iso = start.toISOString().slice(0, 10);
+  return granularity === 'month' ? iso.slice(0, 7) : iso;
+}
+
+function createByFlag() {
+  return { new: 0, known: 0, forgotten: 0, learned: 0 };
+}
+
+/**
+ * Bucket words by capture week/month with the current flag distribution of each bucket
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Object} options - { granularity }
+ * @returns {Object} { granularity, totalWords, undatedWords, buckets: [{ key, start, newWords, cumulativeWords, byFlag }] }
+ */
+function buildTimeline(data, options = {}) {
+  const granularity = options.granularity || 'week';
+  if (!TIMELINE_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid granularity "${granularity}". Use one of: ${TIMELINE_GRANULARITIES.join(', ')}`);
+  }
+
+  const bucketsByKey = {};
+  let totalWords = 0;
+  let undatedWords = 0;
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        totalWords++;
+        const date = parseCaptureDate(word.date);
+        if (!date) {
+          undatedWords++;
+          return;
+        }
+
+        const start = getBucketStart(date, granularity);
+        const key = formatBucketKey(start, granularity);
+        if (!bucketsByKey[key]) {
+          bucketsByKey[key] = { start, words: [] };
+        }
+        bucketsByKey[key].words.push(word);
+      });
+    });
+  });
+
+  const keys = Object.keys(bucketsByKey).sort();
+  const buckets = [];
+  if (keys.length > 0) {
+    // Fill empty weeks/months so the chart has a continuous time axis
+    const last = bucketsByKey[keys[keys.length - 1]].start;
+    let cumulativeWords = 0;
+    for (let start = bucketsByKey[keys[0]].start; start <= last; start = getNextBucketStart(start, granularity)) {
+      const key = formatBucketKey(start, granularity);
+      const words = bucketsByKey[key] ? bucketsByKey[key].words : [];
+      cumulativeWords += words.length;
+      buckets.push({
+        key,
+        start: start.toISOString().slice(0, 10),
+        newWords: words.length,
+        cumulativeWords,
+        byFlag: words.length > 0 ? calculateStatistics([{ words }]).byFlag : createByFlag()
+      });
+    }
+  }
+
+  return {
+    granularity,
+    totalWords,
+    undatedWords,
+    buckets
+  };
+}
+
+/**
+ * Create a snapshot of the current byFlag counts
+ * @param {Object} data - Combined sheet data
+ * @param {Date} now - Snapshot time
+ * @returns {Object} { date, totalWords, byFlag }
+ */
+function createSnapshot(data, now = new Date()) {
+  const topics = [];
+  (data && data.worksheets || []).forEach(worksheet => {
+    topics.push(...(worksheet.topics || []));
+  });
+  const stats = calculateStatistics(topics);
+
+  return {
+    date: now.toISOString().slice(0, 10),
+    totalWords: stats.totalWords,
+    byFlag: stats.byFlag
+  };
+}
+
+/**
+ * Add or replace today's snapshot (one snapshot per day, the latest wins)
+ * @param {Array} snapshots - Existing snapshots sorted by date
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {Array} Updated snapshots
+ */
+function upsertSnapshot(snapshots, snapshot) {
+  const result = (Array.isArray(snapshots) ? snapshots : []).filter(entry => entry.date !== snapshot.date);
+  result.push(snapshot);
+  result.sort((a, b) => a.date.localeCompare(b.date));
+  return result.length > MAX_SNAPSHOTS ? result.slice(result.length - MAX_SNAPSHOTS) : result;
+}
+
+module.exports = {
+  TIMELINE_GRANULARITIES,
+  parseCaptureDate,
+  buildTimeline,
+  createSnapshot,
+  upsertSnapshot
+};
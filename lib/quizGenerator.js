@@ -0,0 +1,242 @@
+// Multiple-choice quiz generator
+// Builds word -> meaning and meaning -> word questions from the topic structure created by parseTopics
+
+const { getWordKey } = require('./dataTransformer');
+const { E100_RANGE_SIZE, normalizeText, numberWords } = require('./wordOrder');
+
+const QUIZ_SOURCES = ['topic', 'flag', 'e100'];
+const QUIZ_DIRECTIONS = ['word-to-meaning', 'meaning-to-word'];
+const OPTION_COUNT = 4;
+const DEFAULT_SIZE = 10;
+const MAX_SIZE = 100;
+// Topics this far apart (in sheet order) still count as "nearby" for distractors
+const NEARBY_TOPIC_DISTANCE = 2;
+
+/**
+ * Create a deterministic random number generator (mulberry32) from a seed string
+ * @param {string} seed - Seed text
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = 0;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 2654435761);
+  }
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items, random) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Flatten sheet data into quiz entries, remembering each topic's position for "nearby" lookups
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Array} excludeKeys - Word keys to leave out (e.g. deleted words)
+ * @returns {Array} Entries { word, key, topicName, worksheetName, topicIndex, order }
+ */
+function collectEntries(data, excludeKeys = []) {
+  const excluded = new Set(excludeKeys);
+  const orders = numberWords(data);
+  const entries = [];
+  let topicIndex = 0;
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        const key = getWordKey(worksheet.name, topic.name, word);
+        if (excluded.has(key)) return;
+        if (!normalizeText(word.word) || !normalizeText(word.meaning)) return;
+
+        entries.push({
+          word,
+          key,
+          topicName: topic.name,
+          worksheetName: worksheet.name,
+          topicIndex,
+          order: orders.get(word)
+        });
+      });
+      topicIndex++;
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Pick the words a quiz is about
+ * @param {Array} entries - All quiz entries
+ * @param {Object} data - Combined sheet data (used to find the newest topic)
+ * @param {Object} options - { source, topic, worksheet, flags, start }
+ * @returns {Object} { entries, filter } where filter describes the selection
+ */
+function selectSourceEntries(entries, data, options) {
+  if (options.source === 'topic') {
+    let topicName = options.topic;
+    let worksheetName = options.worksheet;
+    if (!topicName) {
+      // Newest topic = last topic of the first worksheet (same as the "Newest Topic" filter)
+      const worksheet = data && data.worksheets && data.worksheets[0];
+      const topics = worksheet && worksheet.topics || [];
+      if (topics.length === 0) return { entries: [], filter: { topic: null } };
+      topicName = topics[topics.length - 1].name;
+      worksheetName = worksheet.name;
+    }
+    return {
+      entries: entries.filter(entry => entry.topicName === topicName &&
+        (!worksheetName || entry.worksheetName === worksheetName)),
+      filter: { topic: topicName, worksheet: worksheetName || null }
+    };
+  }
+
+  if (options.source === 'flag') {
+    const flags = (options.flags && options.flags.length > 0 ? options.flags : ['n', '?']).map(normalizeText);
+    return {
+      entries: entries.filter(entry => flags.includes(normalizeText(entry.word.flag))),
+      filter: { flags }
+    };
+  }
+
+  const start = Number.isInteger(options.start) && options.start > 0 ? options.start : 1;
+  const end = start + E100_RANGE_SIZE - 1;
+  return {
+    entries: entries.filter(entry => entry.order >= start && entry.order <= end),
+    filter: { start, end }
+  };
+}
+
+/**
+ * Pick plausible wrong options: same part of speech in the same topic first, then nearby topics,
+ * then any word of the same part of speech, then anything else
+ * @param {Object} target - Entry being asked about
+ * @param {Array} entries - All quiz entries
+ * @param {string} field - 'meaning' or 'word' (the text shown in the options)
+ * @param {Function} random - Random number generator
+ * @returns {Array} Distractor texts
+ */
+function pickDistractors(target, entries, field, random) {
+  const pos = normalizeText(target.word.partOfSpeech);
+  const used = new Set([normalizeText(target.word[field])]);
+  const tiers = [[], [], [], [], []];
+
+  entries.forEach(entry => {
+    if (entry === target) return;
+    const samePos = pos !== '' && normalizeText(entry.word.partOfSpeech) === pos;
+    const topicDistance = Math.abs(entry.topicIndex - target.topicIndex);
+
+    if (samePos && topicDistance === 0) tiers[0].push(entry);
+    else if (samePos && topicDistance <= NEARBY_TOPIC_DISTANCE) tiers[1].push(entry);
+    else if (topicDistance === 0) tiers[2].push(entry);
+    else if (samePos) tiers[3].push(entry);
+    else tiers[4].push(entry);
+  });
+
+  const distractors = [];
+  for (const tier of tiers) {
+    for (const entry of shuffle(tier, random)) {
+      if (distractors.length >= OPTION_COUNT - 1) return distractors;
+      const text = entry.word[field].toString().trim();
+      if (used.has(normalizeText(text))) continue;
+      used.add(normalizeText(text));
+      distractors.push(text);
+    }
+  }
+  return distractors;
+}
+
+/**
+ * Build a single multiple-choice question
+ * @param {Object} target - Entry being asked about
+ * @param {string} direction - 'word-to-meaning' or 'meaning-to-word'
+ * @param {Array} entries - All quiz entries (distractor pool)
+ * @param {Function} random - Random number generator
+ * @returns {Object} Question with options and the index of the correct answer
+ */
+function buildQuestion(target, direction, entries, random) {
+  const { word } = target;
+  const answerField = direction === 'word-to-meaning' ? 'meaning' : 'word';
+  const answer = word[answerField].toString().trim();
+  const options = shuffle([answer, ...pickDistractors(target, entries, answerField, random)], random);
+
+  return {
+    key: target.key,
+    direction,
+    worksheetName: target.worksheetName,
+    topicName: target.topicName,
+    rowNumber: word.rowNumber,
+    prompt: direction === 'word-to-meaning' ? word.word : word.meaning,
+    word: word.word,
+    meaning: word.meaning,
+    partOfSpeech: word.partOfSpeech,
+    pronunciation: word.pronunciation,
+    flag: word.flag,
+    options,
+    answerIndex: options.indexOf(answer)
+  };
+}
+
+/**
+ * Generate a multiple-choice quiz. The same data, options and seed always give the same quiz,
+ * so a quiz can be retaken or shared by passing its seed back.
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Object} options - { source, size, seed, direction, topic, worksheet, flags, start, excludeKeys }
+ * @returns {Object} { seed, source, size, filter, available, questions }
+ */
+function generateQuiz(data, options = {}) {
+  const source = options.source || 'flag';
+  if (!QUIZ_SOURCES.includes(source)) {
+    throw new Error(`Invalid quiz source "${source}". Use one of: ${QUIZ_SOURCES.join(', ')}`);
+  }
+  if (options.direction && !QUIZ_DIRECTIONS.includes(options.direction)) {
+    throw new Error(`Invalid quiz direction "${options.direction}". Use one of: ${QUIZ_DIRECTIONS.join(', ')}`);
+  }
+
+  const size = Math.min(MAX_SIZE, Number.isInteger(options.size) && options.size > 0 ? options.size : DEFAULT_SIZE);
+  const seed = options.seed ? String(options.seed) : Math.random().toString(36).slice(2, 10);
+  const random = createRandom(seed);
+
+  const entries = collectEntries(data, options.excludeKeys);
+  const selection = selectSourceEntries(entries, data, { ...options, source });
+  const targets = shuffle(selection.entries, random).slice(0, size);
+
+  const questions = targets.map(target => {
+    const direction = options.direction || QUIZ_DIRECTIONS[Math.floor(random() * QUIZ_DIRECTIONS.length)];
+    return buildQuestion(target, direction, entries, random);
+  });
+
+  return {
+    seed,
+    source,
+    size,
+    direction: options.direction || 'both',
+    filter: selection.filter,
+    available: selection.entries.length,
+    questions
+  };
+}
+
+module.exports = {
+  QUIZ_SOURCES,
+  QUIZ_DIRECTIONS,
+  createRandom,
+  shuffle,
+  generateQuiz
+};
@@ -0,0 +1,151 @@
+// Spaced-repetition scheduler for vocabulary words
+// Implements the SM-2 algorithm on top of the word objects built by dataTransformer
+
+const { getWordKey } = require('./dataTransformer');
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Flags that mean the word still needs to be learned (same set as game mode)
+const LEARNING_FLAGS = ['n', '?'];
+
+/**
+ * Create an empty review entry for a word that was never graded
+ * @returns {Object} Review entry
+ */
+function createReviewEntry() {
+  return {
+    easeFactor: DEFAULT_EASE_FACTOR,
+    interval: 0,
+    repetitions: 0,
+    dueDate: null,
+    lastReviewedAt: null,
+    lastGrade: null
+  };
+}
+
+/**
+ * Apply a grade to a review entry using SM-2
+ * @param {Object} entry - Current review entry (or null for a new word)
+ * @param {number} grade - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {Date} now - Time of the review
+ * @returns {Object} Updated review entry
+ */
+function gradeReviewEntry(entry, grade, now = new Date()) {
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+    throw new Error('Grade must be an integer from 0 to 5');
+  }
+
+  const current = { ...createReviewEntry(), ...(entry || {}) };
+  let { easeFactor, interval, repetitions } = current;
+
+  if (grade >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    // Failed recall - start over and show the word again tomorrow
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easeFactor = easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+  return {
+    easeFactor,
+    interval,
+    repetitions,
+    dueDate: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+    lastGrade: grade
+  };
+}
+
+/**
+ * Check if a review entry is due on or before the end of the given day
+ * @param {Object} entry - Review entry
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the word should be reviewed today
+ */
+function isDue(entry, now = new Date()) {
+  if (!entry || !entry.dueDate) return true;
+  const endOfDay = new Date(now);
+  endOfDay.setHours(23, 59, 59, 999);
+  return new Date(entry.dueDate) <= endOfDay;
+}
+
+/**
+ * Build the "Due today" queue from structured sheet data
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Object} schedule - Map of word key to review entry
+ * @param {Object} options - { now, newLimit, excludeKeys } where newLimit caps never-reviewed words
+ *   and excludeKeys lists word keys to leave out (e.g. deleted words)
+ * @returns {Object} Queue with due words and counts
+ */
+function getDueWords(data, schedule = {}, options = {}) {
+  const now = options.now || new Date();
+  const newLimit = Number.isInteger(options.newLimit) ? options.newLimit : 20;
+  const excludeKeys = new Set(options.excludeKeys || []);
+  const dueWords = [];
+  const newWords = [];
+  let scheduledCount = 0;
+
+  if (data && Array.isArray(data.worksheets)) {
+    data.worksheets.forEach(worksheet => {
+      (worksheet.topics || []).forEach(topic => {
+        (topic.words || []).forEach(word => {
+          const key = getWordKey(worksheet.name, topic.name, word);
+          if (excludeKeys.has(key)) return;
+
+          const entry = schedule[key];
+          const item = {
+            ...word,
+            key,
+            topicName: topic.name,
+            worksheetName: worksheet.name,
+            review: entry || null
+          };
+
+          if (entry) {
+            scheduledCount++;
+            if (isDue(entry, now)) {
+              dueWords.push(item);
+            }
+          } else {
+            const flag = (word.flag || '').toString().toLowerCase().trim();
+            if (LEARNING_FLAGS.includes(flag)) {
+              newWords.push(item);
+            }
+          }
+        });
+      });
+    });
+  }
+
+  // Most overdue words first
+  dueWords.sort((a, b) => new Date(a.review.dueDate) - new Date(b.review.dueDate));
+  const introducedWords = newWords.slice(0, Math.max(0, newLimit));
+
+  return {
+    date: now.toISOString(),
+    dueCount: dueWords.length,
+    newCount: introducedWords.length,
+    newAvailable: newWords.length,
+    scheduledCount,
+    words: [...dueWords, ...introducedWords]
+  };
+}
+
+module.exports = {
+  createReviewEntry,
+  gradeReviewEntry,
+  isDue,
+  getDueWords
+};
@@ -0,0 +1,266 @@
+// Full-text search over the vocabulary
+// An inverted index of word, meaning, example sentence, synonyms and topic name with prefix matching,
+// English stemming (the WordNet lemmas of wordGroups) and accent-insensitive Vietnamese ("tu bo" finds "từ bỏ")
+
+const { getWordKey } = require('./dataTransformer');
+const { lemmatizeToken } = require('./wordGroups');
+
+// Field weights: a hit in the headword counts most
+const SEARCH_FIELDS = {
+  word: 10,
+  meaning: 4,
+  synonyms: 4,
+  topic: 2,
+  exampleSentence: 1
+};
+// Meanings are Vietnamese, so only the English fields are stemmed
+const STEMMED_FIELDS = new Set(['word', 'synonyms', 'topic', 'exampleSentence']);
+// How much a query term counts depending on how it matched
+const MATCH_WEIGHTS = { exact: 1, stem: 0.8, prefix: 0.5 };
+// Extra score when the whole query appears as a phrase in a field, or equals the headword
+const PHRASE_BONUS = 0.5;
+const HEADWORD_BONUS = 20;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Lowercase one character without accents ("ừ" -> "u", "đ" -> "d"); always one character so offsets stay valid
+function foldChar(char) {
+  const lower = char.toLowerCase();
+  if (lower === 'đ') return 'd';
+  const base = lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return base.length === 1 ? base : char;
+}
+
+/**
+ * Fold text for accent- and case-insensitive matching
+ * @param {string} text - Original text
+ * @returns {string} Folded text of the same length
+ */
+function foldText(text) {
+  return (text || '').toString().split('').map(foldChar).join('');
+}
+
+/**
+ * Split text into folded tokens with their offsets in the original text
+ * @param {string} text - Original text
+ * @returns {Array} [{ term, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[a-z0-9]+/g;
+  const folded = foldText(text);
+  let match;
+  while ((match = pattern.exec(folded)) !== null) {
+    tokens.push({ term: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+function addPosting(map, term, posting) {
+  if (!map.has(term)) map.set(term, []);
+  map.get(term).push(posting);
+}
+
+/**
+ * Build the search index of sheet data
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @returns {Object} { docs, terms, stems, sortedTerms } for searchIndex
+ */
+function buildSearchIndex(data) {
+  const docs = [];
+  const terms = new Map();
+  const stems = new Map();
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    if (worksheet.error) return;
+
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        if (!word.word) return;
+        const doc = docs.length;
+        const fields = {
+          word: (word.word || '').toString(),
+          meaning: (word.meaning || '').toString(),
+          synonyms: (word.synonyms || '').toString(),
+          topic: (topic.name || '').toString(),
+          exampleSentence: (word.exampleSentence || '').toString()
+        };
+        docs.push({
+          key: getWordKey(worksheet.name, topic.name, word),
+          worksheet: worksheet.name,
+          topic: topic.name,
+          rowNumber: word.rowNumber,
+          order: word.order,
+          flag: word.flag,
+          partOfSpeech: word.partOfSpeech,
+          fields,
+          folded: Object.fromEntries(Object.entries(fields).map(([field, text]) => [field, tokenize(text).map(t => t.term).join(' ')]))
+        });
+
+        Object.entries(fields).forEach(([field, text]) => {
+          tokenize(text).forEach(({ term, start, end }) => {
+            const posting = { doc, field, start, end };
+            addPosting(terms, term, posting);
+            if (STEMMED_FIELDS.has(field)) {
+              addPosting(stems, lemmatizeToken(term), posting);
+            }
+          });
+        });
+      });
+    });
+  });
+
+  return {
+    docs,
+    terms,
+    stems,
+    // Sorted so the terms sharing a prefix are one contiguous run
+    sortedTerms: [...terms.keys()].sort()
+  };
+}
+
+// Terms of the index that start with a prefix
+function findPrefixTerms(index, prefix) {
+  let low = 0;
+  let high = index.sortedTerms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index.sortedTerms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const result = [];
+  for (let i = low; i < index.sortedTerms.length && index.sortedTerms[i].startsWith(prefix); i++) {
+    result.push(index.sortedTerms[i]);
+  }
+  return result;
+}
+
+// Best match of one query term per document: { doc -> { score, ranges: [{ field, start, end }] } }
+function matchQueryTerm(index, queryTerm) {
+  const matches = new Map();
+  const add = (postings, kind, length) => {
+    (postings || []).forEach(posting => {
+      const score = SEARCH_FIELDS[posting.field] * MATCH_WEIGHTS[kind];
+      const end = length ? posting.start + length : posting.end;
+      if (!matches.has(posting.doc)) matches.set(posting.doc, { score: 0, ranges: [] });
+      const match = matches.get(posting.doc);
+      match.score = Math.max(match.score, score);
+      match.ranges.push({ field: posting.field, start: posting.start, end });
+    });
+  };
+
+  add(index.terms.get(queryTerm), 'exact');
+  add(index.stems.get(lemmatizeToken(queryTerm)), 'stem');
+  findPrefixTerms(index, queryTerm)
+    .filter(term => term !== queryTerm)
+    .forEach(term => add(index.terms.get(term), 'prefix', queryTerm.length));
+
+  return matches;
+}
+
+// Sort and merge overlapping [start, end] ranges
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+  });
+  return merged;
+}
+
+/**
+ * Search the index. Every query term must match (as a whole term, by stem or as a prefix) in some field.
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search text, e.g. "tu bo" or "deriv"
+ * @param {Object} options - { limit, excludeKeys: word keys to leave out (trash) }
+ * @returns {Object} { query, total, results: [{ key, worksheet, topic, rowNumber, word, meaning, ..., score, highlights }] }
+ */
+function searchIndex(index, query, options = {}) {
+  const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const excludeKeys = new Set(options.excludeKeys || []);
+  const queryTerms = [...new Set(tokenize(query).map(token => token.term))];
+  if (queryTerms.length === 0) {
+    return { query, total: 0, results: [] };
+  }
+
+  let candidates = null;
+  queryTerms.forEach(term => {
+    const matches = matchQueryTerm(index, term);
+    if (candidates === null) {
+      candidates = matches;
+      return;
+    }
+    // Keep documents matching every term so far
+    const next = new Map();
+    candidates.forEach((match, doc) => {
+      const other = matches.get(doc);
+      if (other) next.set(doc, { score: match.score + other.score, ranges: match.ranges.concat(other.ranges) });
+    });
+    candidates = next;
+  });
+
+  const foldedQuery = queryTerms.join(' ');
+  const results = [];
+  candidates.forEach((match, docId) => {
+    const doc = index.docs[docId];
+    if (excludeKeys.has(doc.key)) return;
+
+    let score = match.score;
+    if (doc.folded.word === foldedQuery) {
+      score += HEADWORD_BONUS;
+    }
+    if (queryTerms.length > 1) {
+      Object.entries(doc.folded).forEach(([field, text]) => {
+        if (` ${text} `.includes(` ${foldedQuery} `)) score += SEARCH_FIELDS[field] * PHRASE_BONUS;
+      });
+    }
+
+    const highlights = {};
+    match.ranges.forEach(({ field, start, end }) => {
+      if (!highlights[field]) highlights[field] = [];
+      highlights[field].push([start, end]);
+    });
+    Object.keys(highlights).forEach(field => {
+      highlights[field] = mergeRanges(highlights[field]);
+    });
+
+    results.push({
+      key: doc.key,
+      worksheet: doc.worksheet,
+      topic: doc.topic,
+      rowNumber: doc.rowNumber,
+      order: doc.order,
+      flag: doc.flag,
+      partOfSpeech: doc.partOfSpeech,
+      word: doc.fields.word,
+      meaning: doc.fields.meaning,
+      synonyms: doc.fields.synonyms,
+      exampleSentence: doc.fields.exampleSentence,
+      score: Math.round(score * 100) / 100,
+      highlights
+    });
+  });
+
+  // Best score first, then the shorter headword ("derive" before "derived")
+  results.sort((a, b) => b.score - a.score || a.word.length - b.word.length || a.word.localeCompare(b.word));
+
+  return {
+    query,
+    total: results.length,
+    results: results.slice(0, limit)
+  };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  MAX_LIMIT,
+  foldText,
+  buildSearchIndex,
+  searchIndex
+};
@@ -0,0 +1,103 @@
+// Word-level diff between two versions of a workbook
+// Used by incremental sync to report which words were added, removed or edited since the cached copy
+
+const { getWordKey } = require('./dataTransformer');
+
+// Fields compared to detect an edited word (rowNumber is left out: inserting a row shifts every row below it)
+const TRACKED_FIELDS = ['order', 'flag', 'partOfSpeech', 'pronunciation', 'meaning', 'exampleSentence', 'synonyms', 'dayOfWeek', 'date'];
+
+function normalizeValue(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Index the words of sheet data by worksheet and word text. Repeated words get an occurrence
+ * number so the n-th "run" of the old version is matched with the n-th "run" of the new one.
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @returns {Map} Identity -> { worksheetName, topicName, word }
+ */
+function indexWords(data) {
+  const index = new Map();
+  const occurrences = {};
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        const base = `${worksheet.name}||${normalizeValue(word.word).toLowerCase()}`;
+        occurrences[base] = (occurrences[base] || 0) + 1;
+        index.set(`${base}||${occurrences[base]}`, { worksheetName: worksheet.name, topicName: topic.name, word });
+      });
+    });
+  });
+
+  return index;
+}
+
+function describeEntry(entry) {
+  return {
+    key: getWordKey(entry.worksheetName, entry.topicName, entry.word),
+    worksheetName: entry.worksheetName,
+    topicName: entry.topicName,
+    rowNumber: entry.word.rowNumber,
+    word: entry.word.word
+  };
+}
+
+/**
+ * Compare two versions of sheet data word by word
+ * @param {Object} previous - Cached sheet data (may be null)
+ * @param {Object} next - Freshly fetched sheet data
+ * @returns {Object} { added, removed, edited: [{ ..., previousKey, changes: { field: { from, to } } }], unchanged }
+ */
+function diffSheetData(previous, next) {
+  const before = indexWords(previous);
+  const after = indexWords(next);
+  const added = [];
+  const removed = [];
+  const edited = [];
+  let unchanged = 0;
+
+  after.forEach((entry, identity) => {
+    const old = before.get(identity);
+    if (!old) {
+      added.push(describeEntry(entry));
+      return;
+    }
+
+    const changes = {};
+    TRACKED_FIELDS.forEach(field => {
+      const from = normalizeValue(old.word[field]);
+      const to = normalizeValue(entry.word[field]);
+      if (from !== to) changes[field] = { from, to };
+    });
+    if (old.topicName !== entry.topicName) {
+      changes.topic = { from: old.topicName, to: entry.topicName };
+    }
+    // Extra columns passed through by the column mapping
+    const fromCustom = JSON.stringify(old.word.custom || {});
+    const toCustom = JSON.stringify(entry.word.custom || {});
+    if (fromCustom !== toCustom) {
+      changes.custom = { from: old.word.custom || {}, to: entry.word.custom || {} };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+      return;
+    }
+    edited.push({
+      ...describeEntry(entry),
+      previousKey: getWordKey(old.worksheetName, old.topicName, old.word),
+      changes
+    });
+  });
+
+  before.forEach((entry, identity) => {
+    if (!after.has(identity)) removed.push(describeEntry(entry));
+  });
+
+  return { added, removed, edited, unchanged };
+}
+
+module.exports = {
+  diffSheetData
+};
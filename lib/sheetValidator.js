@@ -0,0 +1,120 @@
+// Data validation report for the vocabulary sheet
+// Lists rows the app cannot use as intended (unknown flags, missing fields, bad dates, duplicates...)
+// with their worksheet and row number so they can be fixed in the workbook
+
+const { parseCaptureDate } = require('./progressTimeline');
+
+// Flags counted by calculateStatistics (compared lowercase)
+const KNOWN_FLAGS = ['n', 'y', '?', 'ok'];
+// Days of week in column J are numbered 1-8
+const MIN_DAY_OF_WEEK = 1;
+const MAX_DAY_OF_WEEK = 8;
+// Topic parseTopics creates for words above the first topic name
+const UNCATEGORIZED_TOPIC = 'Uncategorized';
+
+const CHECKS = [
+  'unknownFlag',
+  'missingFlag',
+  'missingMeaning',
+  'missingPronunciation',
+  'invalidDate',
+  'invalidDayOfWeek',
+  'uncategorized',
+  'rowWithoutWord'
+];
+
+function describeRow(worksheet, topic, word) {
+  return {
+    worksheet: worksheet.name,
+    topic: topic ? topic.name : null,
+    rowNumber: word ? word.rowNumber : null,
+    word: word ? word.word : null
+  };
+}
+
+function isValidDayOfWeek(value) {
+  const day = Number(value);
+  return Number.isInteger(day) && day >= MIN_DAY_OF_WEEK && day <= MAX_DAY_OF_WEEK;
+}
+
+/**
+ * Check every word of the sheet data
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @returns {Object} { summary: { worksheets, totalWords, totalIssues, byCheck }, issues: { check: [{ worksheet, topic, rowNumber, word, value }] },
+ *   duplicates: [{ word, occurrences: [{ worksheet, topic, rowNumber, word }] }] }
+ */
+function validateSheetData(data) {
+  const issues = {};
+  CHECKS.forEach(check => { issues[check] = []; });
+  const occurrencesByWord = new Map();
+  let totalWords = 0;
+  let worksheetCount = 0;
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    if (worksheet.error) return;
+    worksheetCount++;
+
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        totalWords++;
+        const row = describeRow(worksheet, topic, word);
+        const flag = (word.flag || '').toString().trim();
+
+        if (!flag) {
+          issues.missingFlag.push(row);
+        } else if (!KNOWN_FLAGS.includes(flag.toLowerCase())) {
+          issues.unknownFlag.push({ ...row, value: flag });
+        }
+        if (!word.meaning) issues.missingMeaning.push(row);
+        if (!word.pronunciation) issues.missingPronunciation.push(row);
+        // Serial numbers outside 1990 to next year do not parse either, so they are reported here
+        if (word.date && !parseCaptureDate(word.date)) {
+          issues.invalidDate.push({ ...row, value: word.date });
+        }
+        if (word.dayOfWeek && !isValidDayOfWeek(word.dayOfWeek)) {
+          issues.invalidDayOfWeek.push({ ...row, value: word.dayOfWeek });
+        }
+        if (topic.name === UNCATEGORIZED_TOPIC) issues.uncategorized.push(row);
+
+        const key = word.word.toLowerCase();
+        if (!occurrencesByWord.has(key)) occurrencesByWord.set(key, []);
+        occurrencesByWord.get(key).push(row);
+      });
+    });
+
+    (worksheet.rowsWithoutWord || []).forEach(rowNumber => {
+      issues.rowWithoutWord.push({ worksheet: worksheet.name, topic: null, rowNumber, word: null });
+    });
+  });
+
+  const duplicates = [];
+  occurrencesByWord.forEach(occurrences => {
+    if (occurrences.length > 1) {
+      duplicates.push({ word: occurrences[0].word, occurrences });
+    }
+  });
+  duplicates.sort((a, b) => b.occurrences.length - a.occurrences.length || a.word.localeCompare(b.word));
+
+  const byCheck = {};
+  CHECKS.forEach(check => { byCheck[check] = issues[check].length; });
+  byCheck.duplicate = duplicates.length;
+
+  return {
+    summary: {
+      worksheets: worksheetCount,
+      totalWords,
+      totalIssues: Object.values(byCheck).reduce((total, count) => total + count, 0),
+      byCheck
+    },
+    issues,
+    duplicates
+  };
+}
+
+module.exports = {
+  KNOWN_FLAGS,
+  MIN_DAY_OF_WEEK,
+  MAX_DAY_OF_WEEK,
+  CHECKS,
+  validateSheetData
+};
@@ -0,0 +1,137 @@
+// Storage backends for persisted server data (state, caches, progress)
+// Every backend stores JSON documents by key and exposes the same async API:
+//   readJson(key) -> parsed value, or null if the key does not exist
+//   writeJson(key, value)
+//   remove(key)
+
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_BACKENDS = ['tigris', 'local', 'memory'];
+
+// Tigris object storage (credentials come from TIGRIS_STORAGE_* environment variables)
+function createTigrisStorage() {
+  const tigris = require('@tigrisdata/storage');
+
+  const isNotFound = (error) => error && (
+    error.code === 'NoSuchKey' ||
+    error.name === 'NoSuchKey' ||
+    /not found|does not exist/i.test(error.message || '')
+  );
+
+  return {
+    name: 'tigris',
+
+    async readJson(key) {
+      const result = await tigris.get(key, 'string');
+      if (result.error) {
+        if (isNotFound(result.error)) return null;
+        throw result.error;
+      }
+      return result.data ? JSON.parse(result.data) : null;
+    },
+
+    async writeJson(key, value) {
+      const result = await tigris.put(key, JSON.stringify(value, null, 2));
+      if (result.error) throw result.error;
+    },
+
+    async remove(key) {
+      const result = await tigris.remove(key);
+      if (result.error && !isNotFound(result.error)) throw result.error;
+    }
+  };
+}
+
+// JSON files in a local directory (keys may contain "/" to create subfolders)
+function createLocalStorage(baseDir) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async readJson(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) return null;
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      return raw.trim() ? JSON.parse(raw) : null;
+    },
+
+    async writeJson(key, value) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temp file first so a crash never leaves half-written JSON
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(value, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+// In-process storage, lost on restart (useful for tests and quick local runs)
+function createMemoryStorage() {
+  const documents = new Map();
+
+  return {
+    name: 'memory',
+
+    async readJson(key) {
+      return documents.has(key) ? JSON.parse(documents.get(key)) : null;
+    },
+
+    async writeJson(key, value) {
+      documents.set(key, JSON.stringify(value));
+    },
+
+    async remove(key) {
+      documents.delete(key);
+    }
+  };
+}
+
+// View of another storage where every key is prefixed with a namespace (e.g. "users/<id>")
+function createNamespacedStorage(storage, namespace) {
+  const prefix = `${namespace.replace(/\/+$/, '')}/`;
+  return {
+    name: storage.name,
+    namespace,
+    readJson: (key) => storage.readJson(prefix + key),
+    writeJson: (key, value) => storage.writeJson(prefix + key, value),
+    remove: (key) => storage.remove(prefix + key)
+  };
+}
+
+// Pick a backend from STORAGE_BACKEND (tigris | local | memory).
+// Without it, Tigris is used when credentials are configured and local files otherwise.
+function createStorageFromEnv(env = process.env, defaultDir = process.cwd()) {
+  let backend = (env.STORAGE_BACKEND || '').trim().toLowerCase();
+  if (!backend) {
+    backend = env.TIGRIS_STORAGE_ACCESS_KEY_ID ? 'tigris' : 'local';
+  }
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'tigris') return createTigrisStorage();
+  if (backend === 'memory') return createMemoryStorage();
+  return createLocalStorage(env.STORAGE_DIR ? path.resolve(env.STORAGE_DIR) : defaultDir);
+}
+
+module.exports = {
+  createTigrisStorage,
+  createLocalStorage,
+  createMemoryStorage,
+  createNamespacedStorage,
+  createStorageFromEnv
+};
@@ -0,0 +1,124 @@
+// Study history log
+// Records study events (reviews, quiz answers, completed lists, flag changes) and summarizes them
+// into a daily activity calendar and streaks
+
+const HISTORY_EVENT_TYPES = ['review', 'quiz-answer', 'list-completed', 'flag-change'];
+// Oldest events are dropped once the log grows past this size
+const MAX_HISTORY_EVENTS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest calendar summarizeHistory builds (a leap year)
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Create a history event
+ * @param {string} type - One of HISTORY_EVENT_TYPES
+ * @param {Object} details - Event-specific fields (wordKey, grade, correct, label, ...)
+ * @param {Date} now - Time of the event
+ * @returns {Object} Event
+ */
+function createHistoryEvent(type, details = {}, now = new Date()) {
+  if (!HISTORY_EVENT_TYPES.includes(type)) {
+    throw new Error(`Invalid history event type "${type}". Use one of: ${HISTORY_EVENT_TYPES.join(', ')}`);
+  }
+  return {
+    ...details,
+    type,
+    timestamp: now.toISOString()
+  };
+}
+
+/**
+ * Append events to a log, keeping at most MAX_HISTORY_EVENTS
+ * @param {Array} events - Existing log
+ * @param {Array} newEvents - Events to add
+ * @returns {Array} Updated log
+ */
+function appendHistoryEvents(events, newEvents) {
+  const log = [...(Array.isArray(events) ? events : []), ...newEvents];
+  return log.length > MAX_HISTORY_EVENTS ? log.slice(log.length - MAX_HISTORY_EVENTS) : log;
+}
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of a time in the learner's time zone
+ * @param {Date|string} time - Time
+ * @param {number} tzOffset - Minutes behind UTC, as returned by Date.getTimezoneOffset() in the browser
+ * @returns {string} Day key
+ */
+function getDayKey(time, tzOffset = 0) {
+  const local = new Date(new Date(time).getTime() - tzOffset * 60 * 1000);
+  return local.toISOString().slice(0, 10);
+}
+
+function shiftDayKey(dayKey, days) {
+  return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Summarize a history log into per-day activity and streaks
+ * @param {Array} events - History events
+ * @param {Object} options - { now, days, tzOffset } where days is the calendar length (at most MAX_CALENDAR_DAYS)
+ * @returns {Object} { today, streak: { current, longest, studiedToday }, totals, calendar: [{ date, count, byType }] }
+ */
+function summarizeHistory(events, options = {}) {
+  const now = options.now || new Date();
+  const tzOffset = Number.isFinite(options.tzOffset) ? options.tzOffset : 0;
+  const days = Number.isInteger(options.days) && options.days > 0 ? Math.min(options.days, MAX_CALENDAR_DAYS) : 365;
+  const today = getDayKey(now, tzOffset);
+
+  const byDay = {};
+  const totals = {};
+  HISTORY_EVENT_TYPES.forEach(type => { totals[type] = 0; });
+
+  (events || []).forEach(event => {
+    if (!event || !event.timestamp) return;
+    const day = getDayKey(event.timestamp, tzOffset);
+    if (!byDay[day]) byDay[day] = { count: 0, byType: {} };
+    byDay[day].count++;
+    byDay[day].byType[event.type] = (byDay[day].byType[event.type] || 0) + 1;
+    if (event.type in totals) totals[event.type]++;
+  });
+
+  // Current streak counts back from today, or from yesterday if nothing was studied yet today
+  const studiedToday = Boolean(byDay[today]);
+  let current = 0;
+  let cursor = studiedToday ? today : shiftDayKey(today, -1);
+  while (byDay[cursor]) {
+    current++;
+    cursor = shiftDayKey(cursor, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previousDay = null;
+  Object.keys(byDay).sort().forEach(day => {
+    run = previousDay && shiftDayKey(previousDay, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previousDay = day;
+  });
+
+  const calendar = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = shiftDayKey(today, -offset);
+    calendar.push({
+      date,
+      count: byDay[date] ? byDay[date].count : 0,
+      byType: byDay[date] ? byDay[date].byType : {}
+    });
+  }
+
+  return {
+    today,
+    streak: { current, longest, studiedToday },
+    totals,
+    calendar
+  };
+}
+
+module.exports = {
+  HISTORY_EVENT_TYPES,
+  MAX_CALENDAR_DAYS,
+  createHistoryEvent,
+  appendHistoryEvents,
+  getDayKey,
+  summarizeHistory
+};
@@ -0,0 +1,276 @@
+// User accounts and login sessions
+// Accounts are local username/password users or Microsoft identities, stored as one JSON document
+
+const crypto = require('crypto');
+
+const USERS_KEY = 'users.json';
+const SESSION_COOKIE = 'vt_session';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Normalize a username for lookups (usernames are case-insensitive)
+ * @param {string} username - Username as typed
+ * @returns {string} Normalized username
+ */
+function normalizeUsername(username) {
+  return (username || '').toString().trim().toLowerCase();
+}
+
+/**
+ * Check a username for registration
+ * @param {string} username - Username as typed
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUsername(username) {
+  if (!USERNAME_PATTERN.test(normalizeUsername(username))) {
+    return 'Username must be 3-32 characters: letters, numbers, ".", "_" or "-"';
+  }
+  return null;
+}
+
+/**
+ * Check a password for registration
+ * @param {string} password - Password as typed
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return {
+    salt,
+    hash: crypto.scryptSync(password, salt, 64).toString('hex')
+  };
+}
+
+function verifyPassword(password, user) {
+  if (!user || !user.passwordHash || !user.passwordSalt || typeof password !== 'string') return false;
+  const { hash } = hashPassword(password, user.passwordSalt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+// Only a hash of each session token is stored, so a leaked users.json cannot be used to log in
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip secrets from a user before sending it to the browser
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, username, displayName, provider }
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName || user.username,
+    provider: user.provider
+  };
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {Object} Map of cookie name to value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (err) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value for the session cookie
+ * @param {string} token - Session token ('' to clear the cookie)
+ * @param {Object} options - { secure, maxAgeMs }
+ * @returns {string} Set-Cookie value
+ */
+function buildSessionCookie(token, options = {}) {
+  const maxAgeSeconds = token ? Math.floor((options.maxAgeMs || SESSION_MAX_AGE_MS) / 1000) : 0;
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token || '')}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`
+  ];
+  if (options.secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Create an account store on top of a storage backend
+ * @param {Object} storage - Storage from lib/storage
+ * @returns {Object} Account store
+ */
+function createAccountStore(storage) {
+  // Writes are chained so concurrent logins do not overwrite each other
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    const data = await storage.readJson(USERS_KEY);
+    return {
+      users: data && data.users ? data.users : {},
+      sessions: data && data.sessions ? data.sessions : {}
+    };
+  }
+
+  function update(change) {
+    const result = writeQueue.then(async () => {
+      const data = await load();
+      const value = change(data);
+      await storage.writeJson(USERS_KEY, data);
+      return value;
+    });
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  function createUserRecord(fields) {
+    return {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...fields
+    };
+  }
+
+  return {
+    /**
+     * Register a local user
+     * @returns {Promise<Object|null>} { user, isFirstUser }, or null if the username is taken
+     */
+    registerUser(username, password) {
+      const normalized = normalizeUsername(username);
+      return update(data => {
+        const users = Object.values(data.users);
+        if (users.some(user => user.username === normalized)) return null;
+
+        const { salt, hash } = hashPassword(password);
+        const user = createUserRecord({
+          username: normalized,
+          provider: 'local',
+          passwordSalt: salt,
+          passwordHash: hash
+        });
+        data.users[user.id] = user;
+        return { user, isFirstUser: users.length === 0 };
+      });
+    },
+
+    /**
+     * Find or create the account of a Microsoft identity (from Graph /me)
+     * @param {Object} profile - { userPrincipalName, mail, displayName }
+     * @returns {Promise<Object>} { user, isFirstUser, created }
+     */
+    findOrCreateMicrosoftUser(profile) {
+      const microsoftId = normalizeUsername(profile.userPrincipalName || profile.mail);
+      if (!microsoftId) {
+        return Promise.reject(new Error('Microsoft account has no user principal name'));
+      }
+      return update(data => {
+        const users = Object.values(data.users);
+        const existing = users.find(user => user.microsoftId === microsoftId);
+        if (existing) return { user: existing, isFirstUser: false, created: false };
+
+        const user = createUserRecord({
+          username: microsoftId,
+          displayName: profile.displayName || microsoftId,
+          provider: 'microsoft',
+          microsoftId
+        });
+        data.users[user.id] = user;
+        return { user, isFirstUser: users.length === 0, created: true };
+      });
+    },
+
+    /**
+     * Check a username and password
+     * @returns {Promise<Object|null>} User, or null if the credentials are wrong
+     */
+    async authenticate(username, password) {
+      const data = await load();
+      const normalized = normalizeUsername(username);
+      const user = Object.values(data.users).find(entry => entry.username === normalized && entry.provider === 'local');
+      return verifyPassword(password, user) ? user : null;
+    },
+
+    /**
+     * Start a login session
+     * @returns {Promise<Object>} { token, expiresAt }
+     */
+    createSession(userId) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const now = Date.now();
+      const expiresAt = new Date(now + SESSION_MAX_AGE_MS).toISOString();
+      return update(data => {
+        // Drop expired sessions while we are here
+        Object.entries(data.sessions).forEach(([key, session]) => {
+          if (new Date(session.expiresAt).getTime() <= now) delete data.sessions[key];
+        });
+        data.sessions[hashSessionToken(token)] = {
+          userId,
+          createdAt: new Date(now).toISOString(),
+          expiresAt
+        };
+        return { token, expiresAt };
+      });
+    },
+
+    /**
+     * Resolve the user of a session token
+     * @returns {Promise<Object|null>} User, or null if the session is missing or expired
+     */
+    async getSessionUser(token) {
+      if (!token) return null;
+      const data = await load();
+      const session = data.sessions[hashSessionToken(token)];
+      if (!session || new Date(session.expiresAt) <= new Date()) return null;
+      return data.users[session.userId] || null;
+    },
+
+    /**
+     * List every account (used to start background jobs after a restart)
+     * @returns {Promise<Array>} Users
+     */
+    async listUsers() {
+      const data = await load();
+      return Object.values(data.users);
+    },
+
+    deleteSession(token) {
+      if (!token) return Promise.resolve();
+      return update(data => {
+        delete data.sessions[hashSessionToken(token)];
+      });
+    }
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_MAX_AGE_MS,
+  normalizeUsername,
+  validateUsername,
+  validatePassword,
+  toPublicUser,
+  parseCookies,
+  buildSessionCookie,
+  createAccountStore
+};
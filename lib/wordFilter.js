@@ -0,0 +1,283 @@
+// Composable word filter
+// One set of conditions (flags, topics, worksheets, part of speech, capture date range, day of week,
+// order range, newest topics/words and a random sample) shared by the Filter tab, presets and exports.
+// A filter is written as URL query parameters, e.g. "pos=verb&flag=?&from=-1m", so it can be bookmarked.
+
+const { getWordKey } = require('./dataTransformer');
+const { parseCaptureDate } = require('./progressTimeline');
+const { createRandom, shuffle } = require('./quizGenerator');
+const { KNOWN_FLAGS, MIN_DAY_OF_WEEK, MAX_DAY_OF_WEEK } = require('./sheetValidator');
+const { normalizeText, numberWords } = require('./wordOrder');
+
+// Query parameters of a filter (list parameters may be repeated; flag, pos and day also take comma-separated values)
+const FILTER_PARAMS = ['flag', 'topic', 'worksheet', 'pos', 'from', 'to', 'day', 'orderFrom', 'orderTo', 'newestTopics', 'newestWords', 'sample', 'seed'];
+const MAX_SAMPLE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ways the POS column writes each part of speech ("v", "(adj)", "n/v", "phrasal verb"...)
+const PART_OF_SPEECH_ALIASES = {
+  noun: ['n', 'noun'],
+  verb: ['v', 'verb', 'vt', 'vi'],
+  adjective: ['a', 'adj', 'adjective'],
+  adverb: ['adv', 'adverb'],
+  preposition: ['prep', 'preposition'],
+  conjunction: ['conj', 'conjunction'],
+  pronoun: ['pron', 'pronoun'],
+  phrase: ['phr', 'phrase', 'phrasal', 'idiom']
+};
+const PARTS_OF_SPEECH = Object.keys(PART_OF_SPEECH_ALIASES);
+const PART_OF_SPEECH_BY_ALIAS = {};
+Object.entries(PART_OF_SPEECH_ALIASES).forEach(([partOfSpeech, aliases]) => {
+  aliases.forEach(alias => { PART_OF_SPEECH_BY_ALIAS[alias] = partOfSpeech; });
+});
+
+// Absolute (2026-09-01, or a whole month: 2026-09) or relative (today, -30d, -4w, -1m, -1y) date bounds
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}|\d{4}-\d{2}|today|-\d+[dwmy])$/;
+
+// Values of a query parameter from an Express query object or URLSearchParams
+function getValues(query, name, splitCommas = false) {
+  const raw = typeof query.getAll === 'function' ? query.getAll(name) : query[name];
+  const values = (Array.isArray(raw) ? raw : [raw])
+    .filter(value => value !== undefined && value !== null)
+    .map(value => value.toString().trim());
+  return (splitCommas ? values.flatMap(value => value.split(',')) : values)
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Canonical parts of speech written in a POS cell
+ * @param {string} text - POS cell, e.g. "n/v" or "(adj)"
+ * @returns {Array} e.g. ['noun', 'verb']
+ */
+function getPartsOfSpeech(text) {
+  const result = new Set();
+  normalizeText(text).split(/[^a-z]+/).forEach(token => {
+    if (PART_OF_SPEECH_BY_ALIAS[token]) result.add(PART_OF_SPEECH_BY_ALIAS[token]);
+  });
+  return [...result];
+}
+
+/**
+ * Read and validate a filter from query parameters
+ * @param {Object|URLSearchParams} query - Request query (other parameters are ignored)
+ * @returns {Object} { filter, errors } where filter only has the conditions that were set
+ */
+function parseFilter(query) {
+  const filter = {};
+  const errors = [];
+  const readInt = (name, min, max) => {
+    const [text] = getValues(query, name);
+    if (text === undefined) return;
+    const number = Number(text);
+    if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+      errors.push(`${name} must be a whole number from ${min}${max !== undefined ? ` to ${max}` : ''}`);
+      return;
+    }
+    filter[name] = number;
+  };
+
+  const flags = getValues(query, 'flag', true).map(normalizeText);
+  const invalidFlags = flags.filter(flag => !KNOWN_FLAGS.includes(flag));
+  if (invalidFlags.length > 0) {
+    errors.push(`Invalid flag "${invalidFlags[0]}". Use one of: ${KNOWN_FLAGS.join(', ')}`);
+  } else if (flags.length > 0) {
+    filter.flags = [...new Set(flags)];
+  }
+
+  const topics = getValues(query, 'topic');
+  if (topics.length > 0) filter.topics = topics;
+  const worksheets = getValues(query, 'worksheet');
+  if (worksheets.length > 0) filter.worksheets = worksheets;
+
+  const partsOfSpeech = getValues(query, 'pos', true).map(value => PART_OF_SPEECH_BY_ALIAS[normalizeText(value)] || normalizeText(value));
+  const invalidPartOfSpeech = partsOfSpeech.find(value => !PARTS_OF_SPEECH.includes(value));
+  if (invalidPartOfSpeech) {
+    errors.push(`Invalid pos "${invalidPartOfSpeech}". Use one of: ${PARTS_OF_SPEECH.join(', ')}`);
+  } else if (partsOfSpeech.length > 0) {
+    filter.partsOfSpeech = [...new Set(partsOfSpeech)];
+  }
+
+  ['from', 'to'].forEach(name => {
+    const [text] = getValues(query, name);
+    if (text === undefined) return;
+    if (!DATE_PATTERN.test(text) || !resolveDateBound(text, new Date(), name === 'to')) {
+      errors.push(`${name} must be a date (2026-09-01), a month (2026-09), "today" or relative (-30d, -4w, -1m, -1y)`);
+      return;
+    }
+    filter[name] = text;
+  });
+
+  const days = getValues(query, 'day', true).map(Number);
+  if (days.some(day => !Number.isInteger(day) || day < MIN_DAY_OF_WEEK || day > MAX_DAY_OF_WEEK)) {
+    errors.push(`day must be between ${MIN_DAY_OF_WEEK} and ${MAX_DAY_OF_WEEK}`);
+  } else if (days.length > 0) {
+    filter.days = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  readInt('orderFrom', 1);
+  readInt('orderTo', 1);
+  readInt('newestTopics', 1);
+  readInt('newestWords', 1);
+  readInt('sample', 1, MAX_SAMPLE);
+  if (filter.orderFrom && filter.orderTo && filter.orderFrom > filter.orderTo) {
+    errors.push('orderFrom must not be greater than orderTo');
+  }
+
+  const [seed] = getValues(query, 'seed');
+  if (seed !== undefined) filter.seed = seed;
+
+  return { filter, errors };
+}
+
+/**
+ * Write a filter back as a query string (the inverse of parseFilter)
+ * @param {Object} filter - Filter from parseFilter
+ * @returns {string} Parameters in FILTER_PARAMS order, with readable commas and flags ("flag=n,?&pos=verb")
+ */
+function toQueryString(filter) {
+  const params = new URLSearchParams();
+  if (filter.flags) params.append('flag', filter.flags.join(','));
+  (filter.topics || []).forEach(topic => params.append('topic', topic));
+  (filter.worksheets || []).forEach(worksheet => params.append('worksheet', worksheet));
+  if (filter.partsOfSpeech) params.append('pos', filter.partsOfSpeech.join(','));
+  ['from', 'to'].forEach(name => { if (filter[name]) params.append(name, filter[name]); });
+  if (filter.days) params.append('day', filter.days.join(','));
+  ['orderFrom', 'orderTo', 'newestTopics', 'newestWords', 'sample', 'seed'].forEach(name => {
+    if (filter[name] !== undefined) params.append(name, String(filter[name]));
+  });
+  return params.toString().replace(/%2C/g, ',').replace(/%3F/g, '?');
+}
+
+/**
+ * Turn a date bound into a date at UTC midnight
+ * @param {string} text - Bound as accepted by parseFilter
+ * @param {Date} now - Reference time for relative bounds
+ * @param {boolean} isEnd - A month as the upper bound means its last day
+ * @returns {Date|null} Date, or null for impossible or out-of-range dates
+ */
+function resolveDateBound(text, now, isEnd) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (text === 'today') return today;
+
+  const relative = text.match(/^-(\d+)([dwmy])$/);
+  if (relative) {
+    const amount = Number(relative[1]);
+    const months = relative[2] === 'm' ? amount : amount * 12;
+    let date;
+    if (relative[2] === 'd') date = new Date(today.getTime() - amount * DAY_MS);
+    else if (relative[2] === 'w') date = new Date(today.getTime() - amount * 7 * DAY_MS);
+    else date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - months, today.getUTCDate()));
+    // Far-off bounds such as -1000000000000d are outside the range a Date can hold
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const month = text.match(/^(\d{4})-(\d{2})$/);
+  if (month) {
+    const monthIndex = Number(month[2]) - 1;
+    if (monthIndex < 0 || monthIndex > 11) return null;
+    return isEnd
+      ? new Date(Date.UTC(Number(month[1]), monthIndex + 1, 0))
+      : new Date(Date.UTC(Number(month[1]), monthIndex, 1));
+  }
+
+  return parseCaptureDate(text);
+}
+
+/**
+ * Describe a filter in words, e.g. "#? · verb · captured from -1m"
+ * @param {Object} filter - Filter from parseFilter
+ * @returns {string} Description ('all words' for an empty filter)
+ */
+function describeFilter(filter) {
+  const parts = [];
+  if (filter.flags) parts.push(filter.flags.map(flag => `#${flag.toUpperCase()}`).join(' '));
+  if (filter.partsOfSpeech) parts.push(filter.partsOfSpeech.join('/'));
+  if (filter.worksheets) parts.push(`worksheet ${filter.worksheets.join(', ')}`);
+  if (filter.topics) parts.push(`topic ${filter.topics.join(', ')}`);
+  if (filter.from && filter.to) parts.push(`captured ${filter.from} to ${filter.to}`);
+  else if (filter.from) parts.push(`captured from ${filter.from}`);
+  else if (filter.to) parts.push(`captured until ${filter.to}`);
+  if (filter.days) parts.push(`day ${filter.days.join(', ')}`);
+  if (filter.orderFrom || filter.orderTo) parts.push(`order ${filter.orderFrom || 1}–${filter.orderTo || '…'}`);
+  if (filter.newestTopics) parts.push(filter.newestTopics === 1 ? 'newest topic' : `${filter.newestTopics} newest topics`);
+  if (filter.newestWords) parts.push(`${filter.newestWords} newest words`);
+  if (filter.sample) parts.push(`${filter.sample} random`);
+  return parts.length > 0 ? parts.join(' · ') : 'all words';
+}
+
+/**
+ * Pick the words matching a filter. Conditions combine (a word must match all of them);
+ * newestTopics keeps the last topics of the first worksheet the filter includes,
+ * newestWords then keeps the last matches in sheet order and sample draws from what is left.
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Object} filter - Filter from parseFilter
+ * @param {Object} options - { keys: only these word keys (starred words, the due queue...), excludeKeys, now }
+ * @returns {Object} { entries: [{ key, worksheetName, topicName, order, word }], matched, seed }
+ *   where matched counts the words before sampling and seed repeats the same sample
+ */
+function applyFilter(data, filter, options = {}) {
+  const excluded = new Set(options.excludeKeys || []);
+  const keys = options.keys ? new Set(options.keys) : null;
+  const now = options.now || new Date();
+  const from = filter.from ? resolveDateBound(filter.from, now, false) : null;
+  const to = filter.to ? resolveDateBound(filter.to, now, true) : null;
+  const topics = filter.topics ? new Set(filter.topics) : null;
+  const worksheets = filter.worksheets ? new Set(filter.worksheets) : null;
+
+  const includedWorksheets = (data && data.worksheets || [])
+    .filter(worksheet => !worksheet.error && (!worksheets || worksheets.has(worksheet.name)));
+  // Newest topics = the last topics of the first worksheet (the main one), as in the quiz's newest topic
+  const newestTopics = filter.newestTopics
+    ? new Set(includedWorksheets.length > 0 ? (includedWorksheets[0].topics || []).slice(-filter.newestTopics) : [])
+    : null;
+
+  const orders = numberWords(data);
+  let entries = [];
+  includedWorksheets.forEach(worksheet => {
+    (worksheet.topics || []).forEach(topic => {
+      if ((topics && !topics.has(topic.name)) || (newestTopics && !newestTopics.has(topic))) return;
+
+      (topic.words || []).forEach(word => {
+        const key = getWordKey(worksheet.name, topic.name, word);
+        if (excluded.has(key) || (keys && !keys.has(key)) || !normalizeText(word.word)) return;
+        if (filter.flags && !filter.flags.includes(normalizeText(word.flag))) return;
+        if (filter.partsOfSpeech && !getPartsOfSpeech(word.partOfSpeech).some(pos => filter.partsOfSpeech.includes(pos))) return;
+        if (filter.days && !filter.days.includes(Number(word.dayOfWeek))) return;
+        if (from || to) {
+          const date = parseCaptureDate(word.date);
+          if (!date || (from && date < from) || (to && date > to)) return;
+        }
+
+        const order = orders.get(word);
+        if ((filter.orderFrom && order < filter.orderFrom) || (filter.orderTo && order > filter.orderTo)) return;
+
+        entries.push({ key, worksheetName: worksheet.name, topicName: topic.name, order, word });
+      });
+    });
+  });
+
+  // Newest words = the last matches in sheet order
+  if (filter.newestWords) {
+    entries = entries.slice(-filter.newestWords);
+  }
+
+  const matched = entries.length;
+  let seed = null;
+  if (filter.sample) {
+    seed = filter.seed || Math.random().toString(36).slice(2, 10);
+    entries = shuffle(entries, createRandom(seed)).slice(0, filter.sample);
+  }
+
+  return { entries, matched, seed };
+}
+
+module.exports = {
+  FILTER_PARAMS,
+  PARTS_OF_SPEECH,
+  getPartsOfSpeech,
+  parseFilter,
+  toQueryString,
+  describeFilter,
+  applyFilter
+};
@@ -0,0 +1,293 @@
+// Duplicate and near-duplicate words
+// Groups the words of every worksheet by normalised headword and by lemma (plural and verb forms),
+// so a word captured in several topics can be shown as one merged card
+
+const { getWordKey } = require('./dataTransformer');
+const { parseCaptureDate } = require('./progressTimeline');
+const { WORDNET_POS, hasLemma, findBaseForms } = require('./wordNet');
+
+const MATCH_TYPES = ['exact', 'lemma'];
+// Parts of speech tried for a base form, in order (adverbs are not inflected)
+const LEMMA_POS = ['n', 'v'];
+const MAX_LEMMA_MEMO_ENTRIES = 50000;
+
+// Irregular forms (WordNet's exception lists, which wordnet-db does not bundle)
+const IRREGULAR_LEMMAS = {
+  children: 'child',
+  people: 'person',
+  men: 'man',
+  women: 'woman',
+  feet: 'foot',
+  teeth: 'tooth',
+  mice: 'mouse',
+  geese: 'goose',
+  was: 'be',
+  were: 'be',
+  been: 'be',
+  is: 'be',
+  are: 'be',
+  has: 'have',
+  had: 'have',
+  did: 'do',
+  done: 'do',
+  went: 'go',
+  gone: 'go',
+  made: 'make',
+  took: 'take',
+  taken: 'take',
+  gave: 'give',
+  given: 'give',
+  got: 'get',
+  gotten: 'get',
+  brought: 'bring',
+  bought: 'buy',
+  thought: 'think',
+  caught: 'catch',
+  taught: 'teach',
+  sought: 'seek',
+  left: 'leave',
+  kept: 'keep',
+  met: 'meet',
+  paid: 'pay',
+  said: 'say',
+  sold: 'sell',
+  told: 'tell',
+  held: 'hold',
+  built: 'build',
+  sent: 'send',
+  spent: 'spend',
+  lost: 'lose',
+  found: 'find',
+  written: 'write',
+  wrote: 'write',
+  chosen: 'choose',
+  chose: 'choose',
+  began: 'begin',
+  begun: 'begin',
+  ran: 'run',
+  drove: 'drive',
+  driven: 'drive',
+  rose: 'rise',
+  risen: 'rise',
+  fell: 'fall',
+  fallen: 'fall'
+};
+
+// Words that end like a plural or verb form but are not one (WordNet also has "evening" as a form of "even")
+const UNCHANGED_WORDS = new Set(['news', 'series', 'species', 'means', 'this', 'thus', 'bus', 'gas', 'yes', 'always', 'perhaps', 'during', 'thing', 'nothing', 'something', 'anything', 'everything', 'ceiling', 'evening', 'morning', 'spring', 'string', 'bring', 'king', 'ring', 'sing', 'wing', 'need', 'speed', 'seed', 'feed', 'bed', 'red', 'shed']);
+
+/**
+ * Normalise the text of a headword for comparison
+ * "To Derive (sth)" and "derive" both become "derive"
+ * @param {string} text - Word as written in the sheet
+ * @returns {string} Lowercase headword without notes in brackets, punctuation or a leading "to "
+ */
+function normalizeHeadword(text) {
+  return (text || '').toString()
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[’']/g, '\'')
+    .replace(/[^a-z0-9À-ɏ'\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^to /, '');
+}
+
+const lemmaMemo = new Map();
+
+/**
+ * Reduce one word to its lemma with WordNet's "morphy" rules. A form is only reduced to a base form
+ * WordNet has, so "cares" becomes "care" but "care" never becomes "car".
+ * derive, derives, derived and deriving all become "derive"
+ * @param {string} token - Lowercase word
+ * @returns {string} Lemma (the word itself when it has no known base form)
+ */
+function lemmatizeToken(token) {
+  if (IRREGULAR_LEMMAS[token]) return IRREGULAR_LEMMAS[token];
+  if (token.length <= 3 || UNCHANGED_WORDS.has(token)) return token;
+  if (lemmaMemo.has(token)) return lemmaMemo.get(token);
+
+  let lemma = token;
+  for (const pos of LEMMA_POS) {
+    const [base] = findBaseForms(pos, token);
+    if (base) {
+      lemma = base;
+      break;
+    }
+  }
+  // Comparatives only when the word is not a lemma itself ("number" is not a form of "numb")
+  if (lemma === token && !Object.keys(WORDNET_POS).some(pos => hasLemma(pos, token))) {
+    lemma = findBaseForms('a', token)[0] || token;
+  }
+
+  if (lemmaMemo.size >= MAX_LEMMA_MEMO_ENTRIES) lemmaMemo.clear();
+  lemmaMemo.set(token, lemma);
+  return lemma;
+}
+
+/**
+ * Lemma of a whole headword (every word of a phrase is reduced)
+ * @param {string} text - Word as written in the sheet
+ * @returns {string} Lemma ('' for an empty headword)
+ */
+function getLemma(text) {
+  return normalizeHeadword(text)
+    .split(' ')
+    .filter(Boolean)
+    .map(lemmatizeToken)
+    .join(' ');
+}
+
+// Synonyms are written as "a, b; c"
+function splitList(text) {
+  return (text || '').toString()
+    .split(/[,;]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Add values once, ignoring case
+function addUnique(list, values) {
+  values.forEach(value => {
+    const text = (value || '').toString().trim();
+    if (text && !list.some(item => item.toLowerCase() === text.toLowerCase())) {
+      list.push(text);
+    }
+  });
+}
+
+function toTime(value) {
+  const date = parseCaptureDate(value);
+  return date ? date.getTime() : Infinity;
+}
+
+/**
+ * Combine the entries of a group into one card
+ * @param {Array} entries - Entries of the group
+ * @returns {Object} { headwords, meanings, examples, synonyms, partsOfSpeech, pronunciations, flagHistory }
+ */
+function mergeEntries(entries) {
+  const merged = {
+    headwords: [],
+    meanings: [],
+    examples: [],
+    synonyms: [],
+    partsOfSpeech: [],
+    pronunciations: [],
+    flagHistory: []
+  };
+
+  entries.forEach(entry => {
+    addUnique(merged.headwords, [entry.word]);
+    addUnique(merged.meanings, [entry.meaning]);
+    addUnique(merged.examples, [entry.exampleSentence]);
+    addUnique(merged.synonyms, splitList(entry.synonyms));
+    addUnique(merged.partsOfSpeech, [entry.partOfSpeech]);
+    addUnique(merged.pronunciations, [entry.pronunciation]);
+
+    // One line per capture, followed by the flag changes recorded for that row
+    merged.flagHistory.push({
+      wordKey: entry.wordKey,
+      worksheet: entry.worksheet,
+      topic: entry.topic,
+      date: entry.date,
+      flag: entry.flag,
+      changes: entry.flagChanges
+    });
+  });
+
+  merged.flagHistory.sort((a, b) => toTime(a.date) - toTime(b.date));
+  return merged;
+}
+
+// Flag changes of the study history, by worksheet and row
+function indexFlagChanges(history) {
+  const index = new Map();
+  (Array.isArray(history) ? history : []).forEach(event => {
+    if (event.type !== 'flag-change') return;
+    const key = `${event.worksheetName}||${event.rowNumber}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ flag: event.flag, timestamp: event.timestamp });
+  });
+  return index;
+}
+
+/**
+ * Group the words of sheet data that share a headword or a lemma
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @param {Object} options - { history: study history events (for flag changes), excludeKeys: word keys to leave out }
+ * @returns {Object} { totalWords, groupedWords, groups: [{ id, headword, lemma, match, entries, merged }] }
+ */
+function groupDuplicateWords(data, options = {}) {
+  const excludeKeys = new Set(options.excludeKeys || []);
+  const flagChanges = indexFlagChanges(options.history);
+  const groupsByLemma = new Map();
+  let totalWords = 0;
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    if (worksheet.error) return;
+
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        const wordKey = getWordKey(worksheet.name, topic.name, word);
+        if (excludeKeys.has(wordKey)) return;
+        const lemma = getLemma(word.word);
+        if (!lemma) return;
+        totalWords++;
+
+        if (!groupsByLemma.has(lemma)) groupsByLemma.set(lemma, []);
+        groupsByLemma.get(lemma).push({
+          wordKey,
+          worksheet: worksheet.name,
+          topic: topic.name,
+          rowNumber: word.rowNumber,
+          word: word.word,
+          headword: normalizeHeadword(word.word),
+          flag: word.flag,
+          partOfSpeech: word.partOfSpeech,
+          pronunciation: word.pronunciation,
+          meaning: word.meaning,
+          exampleSentence: word.exampleSentence,
+          synonyms: word.synonyms,
+          date: word.date,
+          flagChanges: flagChanges.get(`${worksheet.name}||${word.rowNumber}`) || []
+        });
+      });
+    });
+  });
+
+  const groups = [];
+  groupsByLemma.forEach((entries, lemma) => {
+    if (entries.length < 2) return;
+
+    const headwords = new Set(entries.map(entry => entry.headword));
+    // The most frequent spelling names the group (the shortest one on a tie)
+    const counts = {};
+    entries.forEach(entry => { counts[entry.headword] = (counts[entry.headword] || 0) + 1; });
+    const headword = [...headwords].sort((a, b) => counts[b] - counts[a] || a.length - b.length || a.localeCompare(b))[0];
+
+    groups.push({
+      id: lemma,
+      headword,
+      lemma,
+      match: headwords.size === 1 ? 'exact' : 'lemma',
+      entries: entries.map(({ headword: _headword, flagChanges: _flagChanges, ...entry }) => entry),
+      merged: mergeEntries(entries)
+    });
+  });
+  groups.sort((a, b) => b.entries.length - a.entries.length || a.headword.localeCompare(b.headword));
+
+  return {
+    totalWords,
+    groupedWords: groups.reduce((total, group) => total + group.entries.length, 0),
+    groups
+  };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  normalizeHeadword,
+  lemmatizeToken,
+  getLemma,
+  groupDuplicateWords
+};
@@ -0,0 +1,112 @@
+// WordNet index lookups
+// Reads the sorted index files of the bundled WordNet 3.1 (wordnet-db) and finds lemmas by binary search,
+// including the base form of an inflected word with WordNet's "morphy" rules. Shared by the lemmatizer of
+// wordGroups and the dictionary suggestions of dictionaryEnricher.
+
+const fs = require('fs');
+const path = require('path');
+
+const WORDNET_POS = {
+  n: { file: 'noun', label: 'noun' },
+  v: { file: 'verb', label: 'verb' },
+  a: { file: 'adj', label: 'adjective' },
+  r: { file: 'adv', label: 'adverb' }
+};
+// WordNet "morphy" detachment rules, used when the word is an inflected form.
+// wordnet-db has no exception lists, so the regular "-ied" / "-ier" / "-iest" forms they cover
+// (studied, happier) are rules here
+const MORPHY_RULES = {
+  n: [['s', ''], ['ses', 's'], ['xes', 'x'], ['zes', 'z'], ['ches', 'ch'], ['shes', 'sh'], ['men', 'man'], ['ies', 'y']],
+  v: [['s', ''], ['ies', 'y'], ['es', 'e'], ['es', ''], ['ied', 'y'], ['ed', 'e'], ['ed', ''], ['ing', 'e'], ['ing', '']],
+  a: [['er', ''], ['est', ''], ['er', 'e'], ['est', 'e'], ['ier', 'y'], ['iest', 'y']],
+  r: []
+};
+
+const indexes = {};
+
+/**
+ * Load the index file of one part of speech (read once, then kept in memory)
+ * @param {string} pos - WordNet part of speech: n, v, a or r
+ * @returns {Object} { buffer, dataStart } for findIndexLine
+ */
+function loadIndex(pos) {
+  if (!indexes[pos]) {
+    const buffer = fs.readFileSync(path.join(require('wordnet-db').path, `index.${WORDNET_POS[pos].file}`));
+    // The license header lines start with two spaces
+    let dataStart = 0;
+    while (buffer[dataStart] === 32) {
+      dataStart = buffer.indexOf(10, dataStart) + 1;
+    }
+    indexes[pos] = { buffer, dataStart };
+  }
+  return indexes[pos];
+}
+
+/**
+ * Find the index line of a lemma. Index files are sorted, so this is a binary search over the lines.
+ * @param {Object} index - Index from loadIndex
+ * @param {string} lemma - Lowercase lemma, words joined by "_"
+ * @returns {string|null} Index line, or null when WordNet does not have the lemma
+ */
+function findIndexLine(index, lemma) {
+  let low = index.dataStart;
+  let high = index.buffer.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const start = Math.max(low, index.buffer.lastIndexOf(10, middle - 1) + 1);
+    let end = index.buffer.indexOf(10, start);
+    if (end === -1) end = index.buffer.length;
+    const line = index.buffer.toString('utf8', start, end);
+    const key = line.slice(0, line.indexOf(' '));
+    if (key === lemma) return line;
+    if (key < lemma) {
+      low = end + 1;
+    } else {
+      high = start;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether WordNet has a lemma in one part of speech
+ * @param {string} pos - n, v, a or r
+ * @param {string} lemma - Lowercase lemma
+ * @returns {boolean}
+ */
+function hasLemma(pos, lemma) {
+  return findIndexLine(loadIndex(pos), lemma) !== null;
+}
+
+/**
+ * Base forms of an inflected word in one part of speech, in rule order. A form only counts when WordNet
+ * has it, so "cares" gives "care" but never "car". Forms with a doubled consonant ("stopped", "bigger")
+ * are tried without it too.
+ * @param {string} pos - n, v, a or r
+ * @param {string} word - Lowercase word
+ * @returns {Array<string>} Base forms found in the index (empty when none)
+ */
+function findBaseForms(pos, word) {
+  const forms = [];
+  MORPHY_RULES[pos].forEach(([suffix, replacement]) => {
+    if (!word.endsWith(suffix) || word.length <= suffix.length + 1) return;
+    const base = word.slice(0, -suffix.length) + replacement;
+    const candidates = [base];
+    if (!replacement && /([b-df-hj-np-tv-z])\1$/.test(base)) {
+      candidates.push(base.slice(0, -1));
+    }
+    candidates.forEach(candidate => {
+      if (!forms.includes(candidate) && hasLemma(pos, candidate)) forms.push(candidate);
+    });
+  });
+  return forms;
+}
+
+module.exports = {
+  WORDNET_POS,
+  MORPHY_RULES,
+  loadIndex,
+  findIndexLine,
+  hasLemma,
+  findBaseForms
+};
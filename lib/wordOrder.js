@@ -0,0 +1,39 @@
+// Word numbering shared by the E100 lists, quizzes, filters and exports
+// A word's order is its Order column (A) or, when that is empty, its position in the whole sheet data,
+// so words without an order are still numbered once across every topic and worksheet.
+
+// Words per E100 list (start, start + 99)
+const E100_RANGE_SIZE = 100;
+
+// Lowercase trimmed text of a cell value, for comparisons ('' for empty cells)
+function normalizeText(value) {
+  return (value || '').toString().toLowerCase().trim();
+}
+
+/**
+ * Number every word of the sheet data
+ * @param {Object} data - Combined sheet data with worksheets and topics
+ * @returns {Map} Word object -> order (the Order column, or the 1-based position across all worksheets)
+ */
+function numberWords(data) {
+  const orders = new Map();
+  let position = 0;
+
+  (data && data.worksheets || []).forEach(worksheet => {
+    (worksheet.topics || []).forEach(topic => {
+      (topic.words || []).forEach(word => {
+        position++;
+        const orderValue = parseInt(word.order, 10);
+        orders.set(word, Number.isNaN(orderValue) ? position : orderValue);
+      });
+    });
+  });
+
+  return orders;
+}
+
+module.exports = {
+  E100_RANGE_SIZE,
+  normalizeText,
+  numberWords
+};
@@ -0,0 +1,168 @@
+// Local workbook importer
+// Parses uploaded .xlsx / .csv files into the same shape as graphHelper.readExcelFileAsync
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { getColumnLetter } = require('./graphHelper');
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an uploaded workbook file
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name (used to detect the format)
+ * @returns {Promise<Object>} { fileName, fileSize, worksheets: [{ name, range, rowCount, columnCount, values }] }
+ */
+async function parseWorkbookFile(buffer, fileName) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Uploaded file is empty');
+  }
+
+  const extension = path.extname(fileName || '').toLowerCase();
+  let worksheets;
+
+  if (extension === '.xlsx') {
+    worksheets = await parseXlsx(buffer);
+  } else if (extension === '.csv') {
+    const name = path.basename(fileName, extension);
+    worksheets = [buildWorksheet(name, parseCsv(buffer.toString('utf8')))];
+  } else {
+    throw new Error(`Unsupported file type "${extension || fileName}". Use .xlsx or .csv`);
+  }
+
+  return {
+    fileName,
+    fileSize: buffer.length,
+    worksheets
+  };
+}
+
+/**
+ * Read every worksheet of an .xlsx file as a 2D array of cell values
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array>} Worksheets
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new Error(`Could not read .xlsx file: ${err.message}`);
+  }
+
+  return workbook.worksheets.map(sheet => {
+    const values = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+      const row = sheet.getRow(r);
+      const rowValues = [];
+      for (let c = 1; c <= sheet.columnCount; c++) {
+        rowValues.push(toCellValue(row.getCell(c).value));
+      }
+      values.push(rowValues);
+    }
+    return buildWorksheet(sheet.name, values);
+  });
+}
+
+/**
+ * Convert an ExcelJS cell value to the plain value Graph returns in usedRange.values
+ * @param {*} value - ExcelJS cell value
+ * @returns {string|number|boolean} Plain value
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return (value.getTime() - EXCEL_EPOCH_MS) / DAY_MS;
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) return toCellValue(value.result);
+    if ('text' in value) return value.text;
+    if ('error' in value) return value.error;
+    return '';
+  }
+  return value;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV contents
+ * @returns {Array} 2D array of strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM written by Excel
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Build a worksheet object with range metadata
+ * @param {string} name - Worksheet name
+ * @param {Array} values - 2D array of cell values
+ * @returns {Object} Worksheet in readExcelFileAsync format
+ */
+function buildWorksheet(name, values) {
+  const rowCount = values.length;
+  const columnCount = values.reduce((max, row) => Math.max(max, row.length), 0);
+  const paddedValues = values.map(row => {
+    const padded = row.slice();
+    while (padded.length < columnCount) padded.push('');
+    return padded;
+  });
+
+  return {
+    name,
+    range: rowCount > 0 && columnCount > 0 ? `${name}!A1:${getColumnLetter(columnCount - 1)}${rowCount}` : `${name}!A1`,
+    rowCount,
+    columnCount,
+    values: paddedValues
+  };
+}
+
+module.exports = {
+  parseWorkbookFile,
+  parseCsv
+};
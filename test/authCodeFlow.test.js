@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const graphHelper = require('../lib/graphHelper');
+const authCodeFlow = require('../lib/authCodeFlow');
+
+const settings = {
+  clientId: '00000000-0000-0000-0000-000000000000',
+  tenantId: 'common',
+  graphUserScopes: ['user.read', 'files.readwrite']
+};
+const REDIRECT_URI = 'http://localhost:3001/api/auth/callback';
+
+// Mock of the MSAL PublicClientApplication that records the requests it gets
+function createMockMsalClient() {
+  const client = {
+    authCodeUrlRequests: [],
+    tokenRequests: [],
+    async getAuthCodeUrl(request) {
+      client.authCodeUrlRequests.push(request);
+      return `https://login.example/authorize?state=${request.state}`;
+    },
+    async acquireTokenByCode(request) {
+      client.tokenRequests.push(request);
+      return {
+        accessToken: `token-for-${request.code}`,
+        expiresOn: new Date('2026-10-19T12:00:00Z'),
+        account: { username: 'learner@example.com' }
+      };
+    }
+  };
+  return client;
+}
+
+async function startSignIn(now = Date.now()) {
+  const msalClient = createMockMsalClient();
+  const graphSession = graphHelper.initializeGraphForUserAuth(settings, { client: msalClient });
+  const { url, pending } = await authCodeFlow.startAuthCodeSignIn(graphSession, REDIRECT_URI, now);
+  return { msalClient, url, session: { pendingAuthCode: pending } };
+}
+
+test('start sends an S256 code challenge of the kept verifier and a random state', async () => {
+  const { msalClient, url, session } = await startSignIn();
+  const [request] = msalClient.authCodeUrlRequests;
+
+  assert.strictEqual(request.codeChallengeMethod, 'S256');
+  assert.strictEqual(request.redirectUri, REDIRECT_URI);
+  assert.strictEqual(request.state, session.pendingAuthCode.state);
+  assert.match(session.pendingAuthCode.state, /^[0-9a-f]{32}$/);
+  assert.strictEqual(request.codeChallenge, crypto.createHash('sha256').update(session.pendingAuthCode.codeVerifier).digest('base64url'));
+  assert.ok(url.includes(session.pendingAuthCode.state));
+});
+
+test('callback with the matching state redeems the code with the verifier once', async () => {
+  const { msalClient, session } = await startSignIn();
+  const { state, codeVerifier } = session.pendingAuthCode;
+
+  const { token } = await authCodeFlow.completeAuthCodeSignIn(session, { code: 'abc', state });
+  assert.strictEqual(token.token, 'token-for-abc');
+  assert.deepStrictEqual(msalClient.tokenRequests.map(request => [request.code, request.codeVerifier, request.redirectUri]), [['abc', codeVerifier, REDIRECT_URI]]);
+  assert.strictEqual(session.pendingAuthCode, null);
+
+  // Replaying the same callback is rejected
+  await assert.rejects(authCodeFlow.completeAuthCodeSignIn(session, { code: 'abc', state }), authCodeFlow.AuthCodeError);
+  assert.strictEqual(msalClient.tokenRequests.length, 1);
+});
+
+test('callback with another state is rejected and keeps the pending sign-in', async () => {
+  const { msalClient, session } = await startSignIn();
+  const pending = session.pendingAuthCode;
+
+  await assert.rejects(authCodeFlow.completeAuthCodeSignIn(session, { code: 'forged', state: 'f'.repeat(32) }), /not started here/);
+  await assert.rejects(authCodeFlow.completeAuthCodeSignIn(session, { code: 'forged' }), authCodeFlow.AuthCodeError);
+  assert.strictEqual(session.pendingAuthCode, pending);
+  assert.strictEqual(msalClient.tokenRequests.length, 0);
+});
+
+test('callback without a started sign-in is rejected', async () => {
+  await assert.rejects(authCodeFlow.completeAuthCodeSignIn({ pendingAuthCode: null }, { code: 'abc', state: 'abc' }), authCodeFlow.AuthCodeError);
+});
+
+test('error callback reports the description and ends the sign-in', async () => {
+  const { session } = await startSignIn();
+
+  await assert.rejects(
+    authCodeFlow.completeAuthCodeSignIn(session, { error: 'access_denied', error_description: 'The user declined' }),
+    { name: 'AuthCodeError', message: 'The user declined' }
+  );
+  assert.strictEqual(session.pendingAuthCode, null);
+});
+
+test('late callback and callback without a code are rejected without redeeming', async () => {
+  const late = await startSignIn(0);
+  await assert.rejects(
+    authCodeFlow.completeAuthCodeSignIn(late.session, { code: 'abc', state: late.session.pendingAuthCode.state }, authCodeFlow.AUTH_CODE_TIMEOUT_MS + 1),
+    /too long/
+  );
+  assert.strictEqual(late.msalClient.tokenRequests.length, 0);
+
+  const noCode = await startSignIn();
+  await assert.rejects(authCodeFlow.completeAuthCodeSignIn(noCode.session, { state: noCode.session.pendingAuthCode.state }), /authorization code/);
+  assert.strictEqual(noCode.msalClient.tokenRequests.length, 0);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, isCommittedSecret, loadConfig } = require('../lib/config');
+
+const TENANT_ID = '0f2e6a4b-8c1d-4e3f-9a7b-5c6d7e8f9a0b';
+
+// baseDir holds a config.json, emptyDir none
+let baseDir;
+let emptyDir;
+before(async () => {
+  baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vocab-config-'));
+  emptyDir = path.join(baseDir, 'empty');
+  await fs.promises.mkdir(emptyDir);
+  await fs.promises.writeFile(path.join(baseDir, 'config.json'), JSON.stringify({
+    port: 4000,
+    profiles: {
+      staging: { tenantId: TENANT_ID, syncIntervalMinutes: 0 },
+      typo: { clientID: 'x' }
+    }
+  }));
+});
+after(async () => {
+  await fs.promises.rm(baseDir, { recursive: true, force: true });
+});
+
+// ConfigError messages of a loadConfig call
+function configErrors(env, dir = baseDir) {
+  try {
+    loadConfig(env, dir);
+  } catch (err) {
+    assert.ok(err instanceof ConfigError, err.message);
+    return err.errors;
+  }
+  assert.fail('Expected a ConfigError');
+}
+
+test('without a config file or environment the built-in defaults are used', () => {
+  const config = loadConfig({}, emptyDir);
+  assert.strictEqual(config.profile, 'development');
+  assert.strictEqual(config.tenantId, 'common');
+  assert.strictEqual(config.port, 3001);
+  assert.strictEqual(config.configFile, null);
+  assert.deepStrictEqual(config.graphUserScopes, ['user.read', 'files.readwrite']);
+});
+
+test('a profile overrides the shared file values and the environment overrides both', () => {
+  const config = loadConfig({ APP_PROFILE: 'staging', PORT: '5000', GRAPH_SCOPES: 'user.read, files.read' }, baseDir);
+  assert.strictEqual(config.profile, 'staging');
+  assert.strictEqual(config.tenantId, TENANT_ID);
+  assert.strictEqual(config.syncIntervalMinutes, 0);
+  assert.strictEqual(config.port, 5000);
+  assert.deepStrictEqual(config.graphUserScopes, ['user.read', 'files.read']);
+  assert.strictEqual(config.configFile, path.join(baseDir, 'config.json'));
+
+  assert.strictEqual(loadConfig({ PORT: ' ' }, baseDir).port, 4000);
+});
+
+test('unknown profiles, unknown settings and invalid values are all reported', () => {
+  assert.match(configErrors({ APP_PROFILE: 'prod' })[0], /Profile "prod" is not defined .*Available profiles: staging, typo/);
+  assert.match(configErrors({ APP_PROFILE: 'typo' })[0], /Unknown setting "clientID" in profile "typo"/);
+  assert.match(configErrors({ CONFIG_FILE: 'missing.json' })[0], /Config file not found/);
+
+  const errors = configErrors({ CLIENT_ID: 'app', TENANT_ID: 'my tenant', PORT: '70000', DEFAULT_SHEET_URL: 'http://example.com/x', SYNC_INTERVAL_MINUTES: '-5' });
+  assert.strictEqual(errors.length, 5);
+  assert.match(errors.join('\n'), /clientId.*GUID/);
+  assert.match(errors.join('\n'), /defaultSheetUrl.*https:\/\/ sharing link/);
+});
+
+test('NODE_ENV=production turns production on and a rotated client secret passes its check', () => {
+  assert.strictEqual(isCommittedSecret(''), false);
+  assert.strictEqual(isCommittedSecret('a-new-secret'), false);
+  assert.strictEqual(loadConfig({ NODE_ENV: 'production', CLIENT_SECRET: 'a-new-secret' }, emptyDir).production, true);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const deckExporter = require('../lib/deckExporter');
+const { createSheetData } = require('./support/sheetData');
+
+// Two worksheets with two topics of three words each (Order column 1-6 per worksheet)
+const data = createSheetData({
+  topics: ['Topic 1', 'Topic 2'],
+  wordsPerTopic: 3,
+  word: ({ topicIndex, row }) => ({ order: String(topicIndex * 3 + row), flag: row === 1 ? '?' : 'N' })
+});
+
+test('the selection is described with the selectors it was made with', () => {
+  const selection = deckExporter.selectExportWords(data, { flags: ['?'], topic: 'Topic 2', worksheet: 'Listening', newestWords: 5 });
+
+  assert.deepStrictEqual(selection.entries.map(entry => entry.word.word), ['Listening Topic 2 1']);
+  assert.deepStrictEqual(selection.filter, { topic: 'Topic 2', worksheet: 'Listening', flags: ['?'], newestWords: 5 });
+});
+
+test('start selects the E100 range of 100 words from that order', () => {
+  const selection = deckExporter.selectExportWords(data, { worksheets: ['vocabKhi'], start: 5 });
+
+  assert.deepStrictEqual(selection.entries.map(entry => entry.order), [5, 6]);
+  assert.deepStrictEqual(selection.filter, { worksheet: 'vocabKhi', start: 5, end: 104 });
+});
+
+test('newest topics come from the first worksheet', () => {
+  const selection = deckExporter.selectExportWords(data, { newestTopics: 1, excludeKeys: [] });
+
+  assert.deepStrictEqual([...new Set(selection.entries.map(entry => `${entry.worksheetName}/${entry.topicName}`))], ['vocabKhi/Topic 2']);
+  assert.deepStrictEqual(selection.filter, { newestTopics: 1 });
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { arpabetToIpa, lookupWord, suggestFieldValues } = require('../lib/dictionaryEnricher');
+
+test('CMU pronunciations become IPA with the stress mark before the stressed syllable', () => {
+  assert.strictEqual(arpabetToIpa('D ER0 AY1 V'), 'dɚˈaɪv');
+  assert.strictEqual(arpabetToIpa('AH0 B AW1 T'), 'əˈbaʊt');
+  assert.strictEqual(arpabetToIpa('K AE1 T'), 'kæt');
+  assert.strictEqual(arpabetToIpa('IH0 K S P L EY1 N'), 'ɪksˈpleɪn');
+});
+
+test('words are looked up by their headword, or by their base form in WordNet', async () => {
+  assert.deepStrictEqual(await lookupWord('to derive (from)'), {
+    pronunciation: '/dɚˈaɪv/',
+    partOfSpeech: 'verb',
+    synonyms: 'deduce, infer, deduct, gain'
+  });
+
+  const cats = await lookupWord('cats');
+  assert.strictEqual(cats.partOfSpeech, 'noun');
+  assert.ok(!cats.synonyms.split(', ').includes('cat'));
+
+  assert.deepStrictEqual(await lookupWord('xyzzyq'), { pronunciation: null, partOfSpeech: null, synonyms: null });
+  assert.strictEqual(await lookupWord('  '), null);
+});
+
+test('only empty fields the worksheet has a column for get suggestions', async () => {
+  const suggestions = await suggestFieldValues({
+    worksheets: [{
+      name: 'vocabKhi',
+      columns: { pronunciation: 'C', partOfSpeech: 'B' },
+      topics: [{
+        name: 'Topic 1',
+        words: [
+          { word: 'derive', rowNumber: 2, pronunciation: ' ' },
+          { word: 'cat', rowNumber: 3, pronunciation: '/kæt/', partOfSpeech: 'noun' },
+          { word: 'xyzzyq', rowNumber: 4 }
+        ]
+      }]
+    }]
+  });
+
+  assert.deepStrictEqual(suggestions, {
+    vocabKhi: {
+      2: {
+        pronunciation: { value: '/dɚˈaɪv/', source: 'cmudict' },
+        partOfSpeech: { value: 'verb', source: 'wordnet' }
+      }
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const graphHelper = require('../lib/graphHelper');
+
+const SHARING_URL = 'https://contoso-my.sharepoint.com/:x:/g/personal/learner/vocab';
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const WORKSHEETS = [
+  { id: 'ws-1', name: 'vocabKhi', position: 0 },
+  { id: 'ws-2', name: 'Listening', position: 1 }
+];
+
+// Mock of the Graph API for one shared workbook; records every request
+function createMockGraph() {
+  const graph = {
+    requests: [],
+    // drive/item ids the share resolves to, and the item ids that answer 403
+    location: { driveId: 'drive-1', itemId: 'item-1' },
+    forbiddenItems: new Set()
+  };
+
+  const respond = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: () => null },
+    json: async () => body
+  });
+
+  const answer = (url, requestBody = null) => {
+    const itemPath = `/drives/${graph.location.driveId}/items/${graph.location.itemId}`;
+    const requestedItem = (url.match(/\/items\/([^/?]+)/) || [])[1];
+    if (graph.forbiddenItems.has(requestedItem)) return { status: 403, body: { error: { message: 'Access denied' } } };
+    if (!url.startsWith(itemPath)) return { status: 404, body: { error: { message: 'Item not found' } } };
+    if (url.includes('/range(address=')) {
+      return { status: 200, body: { address: url.match(/address='([^']+)'/)[1], values: requestBody.values } };
+    }
+    if (url.includes('/usedRange')) {
+      const worksheetId = decodeURIComponent(url.match(/worksheets\/([^/]+)\/usedRange/)[1]);
+      return { status: 200, body: { address: `${worksheetId}!A1:B2`, rowCount: 2, columnCount: 2, values: [['word', worksheetId], ['x', 'y']] } };
+    }
+    if (url.includes('/workbook/worksheets')) return { status: 200, body: { value: WORKSHEETS } };
+    return { status: 200, body: { id: graph.location.itemId, name: 'vocab.xlsx', size: 100, eTag: '"v1"', lastModifiedDateTime: '2026-10-19T00:00:00Z' } };
+  };
+
+  graph.fetch = async (url, options = {}) => {
+    const path = url.slice(GRAPH_BASE_URL.length);
+    graph.requests.push({ path, token: options.headers && options.headers.Authorization, body: options.body ? JSON.parse(options.body) : null });
+
+    if (path.startsWith('/shares/')) {
+      return respond(200, { id: graph.location.itemId, name: 'vocab.xlsx', parentReference: { driveId: graph.location.driveId } });
+    }
+    if (path === '/$batch') {
+      const { requests } = JSON.parse(options.body);
+      return respond(200, { responses: requests.map(request => ({ id: request.id, ...answer(request.url) })) });
+    }
+    const { status, body } = answer(path, options.body ? JSON.parse(options.body) : null);
+    return respond(status, body);
+  };
+  return graph;
+}
+
+let graph;
+let originalFetch;
+beforeEach(() => {
+  graph = createMockGraph();
+  originalFetch = global.fetch;
+  global.fetch = graph.fetch;
+});
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+const countShareLookups = () => graph.requests.filter(request => request.path.startsWith('/shares/')).length;
+
+test('each user resolves the share with their own token and reuses only their own ids', async () => {
+  const aliceItems = graphHelper.createDriveItemCache();
+  const bobItems = graphHelper.createDriveItemCache();
+
+  await graphHelper.getWorksheetListAsync(SHARING_URL, 'alice-token', aliceItems);
+  await graphHelper.getWorksheetListAsync(SHARING_URL, 'alice-token', aliceItems);
+  assert.strictEqual(countShareLookups(), 1);
+
+  await graphHelper.getWorksheetListAsync(SHARING_URL, 'bob-token', bobItems);
+  const lookups = graph.requests.filter(request => request.path.startsWith('/shares/'));
+  assert.deepStrictEqual(lookups.map(request => request.token), ['Bearer alice-token', 'Bearer bob-token']);
+});
+
+test('cached ids that answer 403 or 404 are resolved again and the request retried', async () => {
+  const driveItems = graphHelper.createDriveItemCache();
+  await graphHelper.getWorksheetListAsync(SHARING_URL, 'token', driveItems);
+
+  graph.forbiddenItems.add('item-1');
+  graph.location = { driveId: 'drive-1', itemId: 'item-2' };
+  const forbidden = await graphHelper.getWorksheetListAsync(SHARING_URL, 'token', driveItems);
+  assert.strictEqual(forbidden.worksheets.length, 2);
+  assert.strictEqual(countShareLookups(), 2);
+  assert.strictEqual(driveItems.get(SHARING_URL).itemId, 'item-2');
+
+  graph.location = { driveId: 'drive-2', itemId: 'item-3' };
+  const moved = await graphHelper.readExcelFileAsync(SHARING_URL, 'Listening', 'token', null, driveItems);
+  assert.deepStrictEqual(moved.worksheets.map(worksheet => worksheet.name), ['Listening']);
+  assert.strictEqual(countShareLookups(), 3);
+});
+
+test('a cell write to cached ids that answer 403 resolves the share again and is retried', async () => {
+  const driveItems = graphHelper.createDriveItemCache();
+  await graphHelper.getWorksheetListAsync(SHARING_URL, 'token', driveItems);
+
+  graph.forbiddenItems.add('item-1');
+  graph.location = { driveId: 'drive-1', itemId: 'item-2' };
+  const written = await graphHelper.updateCellAsync(SHARING_URL, 'vocabKhi', 'C3', 'y', 'token', driveItems);
+  assert.deepStrictEqual(written, { address: 'C3', values: [['y']] });
+  assert.strictEqual(countShareLookups(), 2);
+  assert.strictEqual(driveItems.get(SHARING_URL).itemId, 'item-2');
+
+  graph.forbiddenItems.add('item-2');
+  await assert.rejects(
+    graphHelper.updateCellAsync(SHARING_URL, 'vocabKhi', 'C3', 'y', 'token', driveItems),
+    (err) => err instanceof graphHelper.GraphRequestError && err.status === 403
+  );
+});
+
+test('the drive item cache drops the least recently used sharing URL past its size', () => {
+  const driveItems = graphHelper.createDriveItemCache(2);
+  driveItems.set('a', { itemId: 'a' });
+  driveItems.set('b', { itemId: 'b' });
+  driveItems.get('a');
+  driveItems.set('c', { itemId: 'c' });
+
+  assert.strictEqual(driveItems.size, 2);
+  assert.strictEqual(driveItems.get('b'), undefined);
+  assert.deepStrictEqual(driveItems.get('a'), { itemId: 'a' });
+});
+
+test('several worksheets are read with one metadata batch and one range batch', async () => {
+  const driveItems = graphHelper.createDriveItemCache();
+  await graphHelper.getWorksheetListAsync(SHARING_URL, 'token', driveItems);
+  graph.requests = [];
+
+  const results = await graphHelper.readExcelSheetsAsync(SHARING_URL, ['vocabKhi', 'Listening', 'Missing'], 'token', { driveItems });
+
+  const batches = graph.requests.filter(request => request.path === '/$batch');
+  assert.strictEqual(graph.requests.length, 2);
+  assert.strictEqual(batches[1].body.requests.length, 2);
+  assert.deepStrictEqual(results.vocabKhi.worksheets.map(worksheet => worksheet.values[0][1]), ['ws-1']);
+  assert.deepStrictEqual(results.Listening.worksheets.map(worksheet => worksheet.values[0][1]), ['ws-2']);
+  assert.match(results.Missing.error.message, /not found/);
+});
+
+test('sheets whose cached version matches the file are not downloaded', async () => {
+  const version = { eTag: '"v1"', lastModifiedDateTime: '2026-10-19T00:00:00Z' };
+  const results = await graphHelper.readExcelSheetsAsync(SHARING_URL, ['vocabKhi', ''], 'token', { knownVersions: { vocabKhi: version } });
+
+  const rangeBatch = graph.requests.filter(request => request.path === '/$batch')[1];
+  assert.strictEqual(results.vocabKhi.unchanged, true);
+  assert.deepStrictEqual(results[''].worksheets.map(worksheet => worksheet.name), ['vocabKhi', 'Listening']);
+  assert.strictEqual(rangeBatch.body.requests.length, 2);
+});
+
+test('column letters and indexes convert both ways and cell addresses start at the used range', () => {
+  assert.deepStrictEqual([0, 25, 26, 27, 701, 702].map(graphHelper.getColumnLetter), ['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+  assert.deepStrictEqual(['A', 'z', ' AB ', 'ZZ', 'AAA', 3].map(graphHelper.parseColumnRef), [0, 25, 27, 701, 702, 3]);
+  assert.deepStrictEqual(['', 'A1', 'ABCD', -1, 1.5].map(graphHelper.parseColumnRef), [null, null, null, null, null]);
+
+  assert.strictEqual(graphHelper.getCellAddress('vocabKhi!A1:L500', 3, 2), 'C3');
+  assert.strictEqual(graphHelper.getCellAddress("'vocab Khi'!$B$3:L500", 1, 1), 'C3');
+});
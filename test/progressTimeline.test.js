@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCaptureDate, buildTimeline } = require('../lib/progressTimeline');
+
+const iso = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+test('capture dates parse from serial numbers, m/d/yyyy and ISO text', () => {
+  assert.strictEqual(iso(parseCaptureDate(46030)), '2026-01-08');
+  assert.strictEqual(iso(parseCaptureDate('2/9/2026')), '2026-02-09');
+  assert.strictEqual(iso(parseCaptureDate('2026-02-09T00:00:00Z')), '2026-02-09');
+  assert.strictEqual(parseCaptureDate(''), null);
+  assert.strictEqual(parseCaptureDate('soon'), null);
+});
+
+test('serial numbers written as text (CSV imports) parse like numbers', () => {
+  assert.strictEqual(iso(parseCaptureDate('46030')), '2026-01-08');
+  assert.strictEqual(iso(parseCaptureDate(' 46030.5 ')), '2026-01-08');
+});
+
+test('impossible dates are undated instead of rolling over into the next month', () => {
+  assert.strictEqual(parseCaptureDate('2/30/2026'), null);
+  assert.strictEqual(parseCaptureDate('13/1/2026'), null);
+  assert.strictEqual(parseCaptureDate('2026-04-31'), null);
+  assert.strictEqual(iso(parseCaptureDate('2/29/2028')), '2028-02-29');
+
+  const timeline = buildTimeline({
+    worksheets: [{ topics: [{ words: [{ flag: 'n', date: '2/28/2026' }, { flag: 'n', date: '2/30/2026' }] }] }]
+  }, { granularity: 'month' });
+  assert.deepStrictEqual(timeline.buckets.map(bucket => [bucket.key, bucket.newWords]), [['2026-02', 1]]);
+  assert.strictEqual(timeline.undatedWords, 1);
+});
+
+test('serial numbers outside 1990 to next year are undated', () => {
+  const toSerial = (year, month, day) => (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000;
+  const nextYear = new Date().getUTCFullYear() + 1;
+  const lastSerialOfNextYear = toSerial(nextYear, 12, 31);
+  assert.strictEqual(parseCaptureDate(42), null);
+  assert.strictEqual(iso(parseCaptureDate(toSerial(1990, 1, 1))), '1990-01-01');
+  assert.strictEqual(parseCaptureDate(toSerial(1990, 1, 1) - 1), null);
+  assert.strictEqual(iso(parseCaptureDate(lastSerialOfNextYear)), `${nextYear}-12-31`);
+  assert.strictEqual(parseCaptureDate(lastSerialOfNextYear + 1), null);
+  assert.strictEqual(parseCaptureDate('1e20'), null);
+
+  const timeline = buildTimeline({
+    worksheets: [{ topics: [{ words: [{ flag: 'n', date: 46030 }, { flag: 'n', date: 7 }] }] }]
+  }, { granularity: 'month' });
+  assert.strictEqual(timeline.undatedWords, 1);
+});
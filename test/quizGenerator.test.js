@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const quizGenerator = require('../lib/quizGenerator');
+const { createSheetData } = require('./support/sheetData');
+
+// Two worksheets with three topics of four words: two verbs then two nouns, flagged N, ?, Y, OK
+const FLAGS = ['N', '?', 'Y', 'OK'];
+const data = createSheetData({
+  wordsPerTopic: 4,
+  word: ({ worksheet, topic, row }) => ({
+    meaning: `meaning of ${worksheet} ${topic} ${row}`,
+    partOfSpeech: row <= 2 ? 'verb' : 'noun',
+    flag: FLAGS[row - 1]
+  })
+});
+const partOfSpeechByMeaning = new Map();
+data.worksheets.forEach(worksheet => worksheet.topics.forEach(topic => topic.words.forEach(word => {
+  partOfSpeechByMeaning.set(word.meaning, word.partOfSpeech);
+})));
+
+test('the same seed always gives the same quiz', () => {
+  const first = quizGenerator.generateQuiz(data, { source: 'flag', seed: 'abc', size: 5 });
+  const again = quizGenerator.generateQuiz(data, { source: 'flag', seed: 'abc', size: 5 });
+  assert.deepStrictEqual(again, first);
+  assert.strictEqual(first.seed, 'abc');
+  assert.strictEqual(first.questions.length, 5);
+});
+
+test('each question has four different options with the answer among them', () => {
+  const quiz = quizGenerator.generateQuiz(data, { source: 'flag', seed: 'options', size: 8 });
+  quiz.questions.forEach(question => {
+    assert.strictEqual(question.options.length, 4);
+    assert.strictEqual(new Set(question.options).size, 4);
+    const answer = question.direction === 'word-to-meaning' ? question.meaning : question.word;
+    assert.strictEqual(question.options[question.answerIndex], answer);
+  });
+});
+
+test('wrong options come from words of the same part of speech in the same or nearby topics', () => {
+  const quiz = quizGenerator.generateQuiz(data, { source: 'topic', topic: 'Topic 1', worksheet: 'vocabKhi', direction: 'word-to-meaning', seed: 'pos' });
+  quiz.questions.forEach(question => {
+    question.options.forEach(option => {
+      assert.strictEqual(partOfSpeechByMeaning.get(option), question.partOfSpeech, `${question.word}: ${option}`);
+    });
+  });
+});
+
+test('quizzes pick their words by flag, by topic (newest by default) or by E100 range', () => {
+  const byFlag = quizGenerator.generateQuiz(data, { source: 'flag', seed: 'x', size: 100 });
+  assert.deepStrictEqual(byFlag.filter, { flags: ['n', '?'] });
+  assert.strictEqual(byFlag.available, 12);
+
+  const newest = quizGenerator.generateQuiz(data, { source: 'topic', seed: 'x' });
+  assert.deepStrictEqual(newest.filter, { topic: 'Topic 3', worksheet: 'vocabKhi' });
+  assert.strictEqual(newest.available, 4);
+
+  // Words without an Order value are numbered across both worksheets (1-24)
+  const e100 = quizGenerator.generateQuiz(data, { source: 'e100', start: 13, seed: 'x', size: 100 });
+  assert.deepStrictEqual(e100.filter, { start: 13, end: 112 });
+  assert.deepStrictEqual([...new Set(e100.questions.map(question => question.worksheetName))], ['Listening']);
+  assert.strictEqual(e100.available, 12);
+});
+
+test('excluded words are never asked, the size is capped and bad options are rejected', () => {
+  const keys = quizGenerator.generateQuiz(data, { source: 'flag', seed: 'x', size: 100 }).questions.map(question => question.key);
+  const quiz = quizGenerator.generateQuiz(data, { source: 'flag', seed: 'x', size: 500, excludeKeys: keys.slice(0, 10) });
+  assert.strictEqual(quiz.size, 100);
+  assert.strictEqual(quiz.available, 2);
+  assert.ok(quiz.questions.every(question => !keys.slice(0, 10).includes(question.key)));
+
+  assert.throws(() => quizGenerator.generateQuiz(data, { source: 'starred' }), /Invalid quiz source "starred"/);
+  assert.throws(() => quizGenerator.generateQuiz(data, { direction: 'sideways' }), /Invalid quiz direction "sideways"/);
+});
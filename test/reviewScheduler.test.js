@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const reviewScheduler = require('../lib/reviewScheduler');
+const { getWordKey } = require('../lib/dataTransformer');
+const { createSheetData } = require('./support/sheetData');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grade an entry several times, one review a day
+function gradeAll(grades) {
+  let entry = null;
+  return grades.map((grade, index) => {
+    entry = reviewScheduler.gradeReviewEntry(entry, grade, new Date(NOW.getTime() + index * DAY_MS));
+    return entry;
+  });
+}
+
+test('correct answers grow the interval from 1 to 6 days and then by the ease factor', () => {
+  const entries = gradeAll([5, 5, 5, 4]);
+  assert.deepStrictEqual(entries.map(entry => entry.interval), [1, 6, 16, 45]);
+  assert.deepStrictEqual(entries.map(entry => entry.easeFactor), [2.6, 2.7, 2.8, 2.8]);
+  assert.deepStrictEqual(entries.map(entry => entry.repetitions), [1, 2, 3, 4]);
+  assert.strictEqual(entries[0].dueDate, '2026-10-20T12:00:00.000Z');
+  assert.strictEqual(entries[0].lastReviewedAt, NOW.toISOString());
+});
+
+test('a failed recall starts over tomorrow and lowers the ease factor down to 1.3', () => {
+  const [, , failed] = gradeAll([4, 4, 2]);
+  assert.strictEqual(failed.repetitions, 0);
+  assert.strictEqual(failed.interval, 1);
+  assert.strictEqual(failed.easeFactor, 2.18);
+  assert.strictEqual(failed.lastGrade, 2);
+
+  const blackouts = gradeAll([0, 0, 0, 0, 0]);
+  assert.strictEqual(blackouts[blackouts.length - 1].easeFactor, 1.3);
+});
+
+test('grades outside 0-5 are rejected', () => {
+  [-1, 6, 2.5, '3', null].forEach(grade => {
+    assert.throws(() => reviewScheduler.gradeReviewEntry(null, grade), /Grade must be an integer from 0 to 5/);
+  });
+});
+
+test('the due queue lists overdue words first, then a limited number of new learning words', () => {
+  const data = createSheetData({ worksheets: ['vocabKhi'], topics: ['Topic 1'], wordsPerTopic: 5, word: ({ row }) => ({ flag: row === 5 ? 'Y' : 'N' }) });
+  const keys = data.worksheets[0].topics[0].words.map(word => getWordKey('vocabKhi', 'Topic 1', word));
+  const schedule = {
+    [keys[0]]: { ...reviewScheduler.createReviewEntry(), dueDate: '2026-10-18T08:00:00.000Z' },
+    [keys[1]]: { ...reviewScheduler.createReviewEntry(), dueDate: '2026-10-10T08:00:00.000Z' },
+    [keys[2]]: { ...reviewScheduler.createReviewEntry(), dueDate: '2026-10-25T08:00:00.000Z' }
+  };
+
+  const queue = reviewScheduler.getDueWords(data, schedule, { now: NOW, newLimit: 5 });
+  assert.deepStrictEqual(queue.words.map(word => word.key), [keys[1], keys[0], keys[3]]);
+  assert.deepStrictEqual([queue.dueCount, queue.newCount, queue.newAvailable, queue.scheduledCount], [2, 1, 1, 3]);
+
+  const limited = reviewScheduler.getDueWords(data, schedule, { now: NOW, newLimit: 0, excludeKeys: [keys[1]] });
+  assert.deepStrictEqual(limited.words.map(word => word.key), [keys[0]]);
+  assert.strictEqual(limited.newAvailable, 1);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_LIMIT, foldText, buildSearchIndex, searchIndex } = require('../lib/searchIndex');
+const { createSheetData } = require('./support/sheetData');
+
+const index = buildSearchIndex({
+  worksheets: [
+    {
+      name: 'vocabKhi',
+      topics: [{
+        name: 'Topic 1',
+        words: [
+          { word: 'give up', rowNumber: 2, meaning: 'từ bỏ', exampleSentence: 'Never give up on your dreams.' },
+          { word: 'derive', rowNumber: 3, meaning: 'bắt nguồn', synonyms: 'deduce, infer' },
+          { word: 'derived', rowNumber: 4, meaning: 'có nguồn gốc' },
+          { word: 'derivation', rowNumber: 5, meaning: 'sự bắt nguồn' },
+          { word: 'running', rowNumber: 6, meaning: 'chạy' }
+        ]
+      }]
+    },
+    { name: 'Broken', error: 'Worksheet not found' }
+  ]
+});
+const wordsFound = (query, options) => searchIndex(index, query, options).results.map(result => result.word);
+
+test('Vietnamese is matched without accents or case, with highlights in the original text', () => {
+  assert.strictEqual(foldText('Đường từ bỏ'), 'duong tu bo');
+
+  const { results } = searchIndex(index, 'tu bo');
+  assert.deepStrictEqual(results.map(result => result.word), ['give up']);
+  assert.deepStrictEqual(results[0].highlights, { meaning: [[0, 2], [3, 5]] });
+  assert.deepStrictEqual(wordsFound('TỪ BỎ'), ['give up']);
+});
+
+test('terms match as prefixes and by their English stem', () => {
+  assert.deepStrictEqual(wordsFound('deriv'), ['derive', 'derived', 'derivation']);
+  assert.deepStrictEqual(wordsFound('derives'), ['derive', 'derived']);
+  assert.deepStrictEqual(wordsFound('ran'), ['running']);
+  assert.deepStrictEqual(wordsFound('infer'), ['derive']);
+  // Meanings are not stemmed, but prefixes still match them
+  assert.deepStrictEqual(wordsFound('nguo'), ['derive', 'derived', 'derivation']);
+});
+
+test('every query term must match, and the headword or a phrase ranks first', () => {
+  const { results } = searchIndex(index, 'give up');
+  assert.deepStrictEqual(results.map(result => result.word), ['give up']);
+  assert.ok(results[0].score > 40, `score ${results[0].score}`);
+  assert.deepStrictEqual(results[0].highlights.exampleSentence, [[6, 10], [11, 13]]);
+
+  assert.deepStrictEqual(wordsFound('derive chạy'), []);
+  assert.deepStrictEqual(searchIndex(index, ' ,. '), { query: ' ,. ', total: 0, results: [] });
+});
+
+test('excluded keys are left out and the result count is limited', () => {
+  const [derive] = searchIndex(index, 'derive').results;
+  assert.deepStrictEqual(wordsFound('deriv', { excludeKeys: [derive.key] }), ['derived', 'derivation']);
+
+  const large = buildSearchIndex(createSheetData({ topics: ['Topic'], wordsPerTopic: 80 }));
+  const search = searchIndex(large, 'topic', { limit: 500 });
+  assert.strictEqual(search.total, 160);
+  assert.strictEqual(search.results.length, MAX_LIMIT);
+  assert.strictEqual(searchIndex(large, 'topic').results.length, 20);
+});
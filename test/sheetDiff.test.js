@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffSheetData } = require('../lib/sheetDiff');
+const { createSheetData } = require('./support/sheetData');
+
+// One worksheet with two topics of two words, e.g. "vocabKhi Topic 1 1" flagged N
+const createVersion = () => createSheetData({
+  worksheets: ['vocabKhi'],
+  topics: ['Topic 1', 'Topic 2'],
+  word: () => ({ flag: 'N', meaning: 'meaning' })
+});
+const wordsOf = (data, topicIndex) => data.worksheets[0].topics[topicIndex].words;
+const namesOf = (entries) => entries.map(entry => entry.word);
+
+test('identical versions, or rows that only moved down, are unchanged', () => {
+  const next = createVersion();
+  next.worksheets[0].topics.forEach(topic => topic.words.forEach(word => { word.rowNumber += 3; }));
+
+  assert.deepStrictEqual(diffSheetData(createVersion(), next), { added: [], removed: [], edited: [], unchanged: 4 });
+});
+
+test('new and deleted rows are reported as added and removed words', () => {
+  const next = createVersion();
+  wordsOf(next, 0).splice(1, 1);
+  wordsOf(next, 1).push({ word: 'derive', rowNumber: 9, flag: 'N' });
+
+  const diff = diffSheetData(createVersion(), next);
+  assert.deepStrictEqual(namesOf(diff.added), ['derive']);
+  assert.deepStrictEqual(namesOf(diff.removed), ['vocabKhi Topic 1 2']);
+  assert.strictEqual(diff.added[0].topicName, 'Topic 2');
+  assert.strictEqual(diff.unchanged, 3);
+});
+
+test('edited fields list their old and new values, ignoring surrounding spaces', () => {
+  const next = createVersion();
+  Object.assign(wordsOf(next, 0)[0], { flag: 'Y', meaning: ' meaning ', custom: { Level: 'B2' } });
+
+  const diff = diffSheetData(createVersion(), next);
+  assert.strictEqual(diff.edited.length, 1);
+  assert.deepStrictEqual(diff.edited[0].changes, {
+    flag: { from: 'N', to: 'Y' },
+    custom: { from: {}, to: { Level: 'B2' } }
+  });
+  assert.strictEqual(diff.edited[0].previousKey, diff.edited[0].key);
+});
+
+test('a word moved to another topic is an edit of its topic', () => {
+  const next = createVersion();
+  wordsOf(next, 1).unshift(wordsOf(next, 0).pop());
+
+  const diff = diffSheetData(createVersion(), next);
+  assert.deepStrictEqual(namesOf(diff.edited), ['vocabKhi Topic 1 2']);
+  assert.deepStrictEqual(diff.edited[0].changes, { topic: { from: 'Topic 1', to: 'Topic 2' } });
+});
+
+test('repeated words are matched occurrence by occurrence, case-insensitively', () => {
+  const previous = createVersion();
+  wordsOf(previous, 0).forEach(word => { word.word = 'run'; });
+  const next = createVersion();
+  wordsOf(next, 0).forEach(word => { word.word = 'Run'; });
+  wordsOf(next, 1).push({ word: 'run', rowNumber: 9, flag: 'N' });
+
+  const diff = diffSheetData(previous, next);
+  assert.deepStrictEqual(namesOf(diff.added), ['run']);
+  assert.strictEqual(diff.added[0].rowNumber, 9);
+  assert.deepStrictEqual(diff.edited, []);
+});
+
+test('without a previous version every word is added', () => {
+  const diff = diffSheetData(null, createVersion());
+  assert.strictEqual(diff.added.length, 4);
+  assert.deepStrictEqual([diff.removed, diff.edited, diff.unchanged], [[], [], 0]);
+});
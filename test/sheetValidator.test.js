@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CHECKS, validateSheetData } = require('../lib/sheetValidator');
+const { createSheetData } = require('./support/sheetData');
+
+// Two worksheets with three topics of two complete words each
+const createData = () => createSheetData({
+  word: () => ({ flag: 'N', meaning: 'meaning', pronunciation: '/ˈwɜːd/', date: '2026-10-19', dayOfWeek: 2 })
+});
+const rowsOf = (issues) => issues.map(issue => `${issue.worksheet}:${issue.rowNumber}`);
+
+test('a complete sheet has no issues', () => {
+  const report = validateSheetData(createData());
+  assert.strictEqual(report.summary.worksheets, 2);
+  assert.strictEqual(report.summary.totalWords, 12);
+  assert.strictEqual(report.summary.totalIssues, 0);
+  assert.deepStrictEqual(Object.keys(report.issues), CHECKS);
+  assert.deepStrictEqual(report.duplicates, []);
+});
+
+test('flags, missing fields and days of week are reported with their row', () => {
+  const data = createData();
+  const [first, second] = data.worksheets[0].topics[0].words;
+  Object.assign(first, { flag: ' ok ', meaning: '', pronunciation: '', dayOfWeek: 9 });
+  Object.assign(second, { flag: 'maybe', dayOfWeek: '1.5' });
+  data.worksheets[1].topics[2].words[1].flag = '';
+
+  const report = validateSheetData(data);
+  assert.deepStrictEqual(report.issues.unknownFlag, [{ worksheet: 'vocabKhi', topic: 'Topic 1', rowNumber: 3, word: 'vocabKhi Topic 1 2', value: 'maybe' }]);
+  assert.deepStrictEqual(rowsOf(report.issues.missingFlag), ['Listening:3']);
+  assert.deepStrictEqual(rowsOf(report.issues.missingMeaning), ['vocabKhi:2']);
+  assert.deepStrictEqual(rowsOf(report.issues.missingPronunciation), ['vocabKhi:2']);
+  assert.deepStrictEqual(report.issues.invalidDayOfWeek.map(issue => issue.value), [9, '1.5']);
+  assert.strictEqual(report.summary.totalIssues, 6);
+});
+
+test('unparseable dates and serial numbers outside 1990 to next year are invalid', () => {
+  const toSerial = (year, month, day) => (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000;
+  const dates = ['2/30/2026', 'yesterday', 42, toSerial(new Date().getUTCFullYear() + 2, 1, 1), toSerial(1990, 1, 1), '10/19/2026'];
+  const data = createSheetData({ wordsPerTopic: 1, word: ({ worksheet, topicIndex }) => ({ flag: 'N', meaning: 'm', pronunciation: 'p', date: dates[(worksheet === 'Listening' ? 3 : 0) + topicIndex] }) });
+
+  const report = validateSheetData(data);
+  assert.deepStrictEqual(report.issues.invalidDate.map(issue => issue.value), dates.slice(0, 4));
+});
+
+test('duplicates, uncategorized words, rows without a word and failed worksheets', () => {
+  const data = createData();
+  data.worksheets[1].topics[0].words[0].word = 'VOCABKHI TOPIC 1 1';
+  data.worksheets[0].topics[1].name = 'Uncategorized';
+  data.worksheets[0].rowsWithoutWord = [12];
+  data.worksheets.push({ name: 'Broken', error: 'Not found' });
+
+  const report = validateSheetData(data);
+  assert.strictEqual(report.summary.worksheets, 2);
+  assert.deepStrictEqual(report.duplicates.map(duplicate => [duplicate.word, rowsOf(duplicate.occurrences)]), [
+    ['vocabKhi Topic 1 1', ['vocabKhi:2', 'Listening:2']]
+  ]);
+  assert.deepStrictEqual(rowsOf(report.issues.uncategorized), ['vocabKhi:2', 'vocabKhi:3']);
+  assert.deepStrictEqual(report.issues.rowWithoutWord, [{ worksheet: 'vocabKhi', topic: null, rowNumber: 12, word: null }]);
+  assert.strictEqual(report.summary.byCheck.duplicate, 1);
+  assert.strictEqual(validateSheetData(null).summary.totalWords, 0);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../lib/storage');
+
+let baseDir;
+before(async () => {
+  baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vocab-storage-'));
+});
+after(async () => {
+  await fs.promises.rm(baseDir, { recursive: true, force: true });
+});
+
+test('local storage writes JSON files in subfolders and reads missing or empty files as null', async () => {
+  const local = storage.createLocalStorage(baseDir);
+  assert.strictEqual(await local.readJson('users/1/state.json'), null);
+
+  await local.writeJson('users/1/state.json', { sheetName: 'vocabKhi' });
+  assert.deepStrictEqual(await local.readJson('users/1/state.json'), { sheetName: 'vocabKhi' });
+  assert.deepStrictEqual(await fs.promises.readdir(path.join(baseDir, 'users/1')), ['state.json']);
+
+  await fs.promises.writeFile(path.join(baseDir, 'empty.json'), '  \n');
+  assert.strictEqual(await local.readJson('empty.json'), null);
+
+  await local.remove('users/1/state.json');
+  await local.remove('users/1/state.json');
+  assert.strictEqual(await local.readJson('users/1/state.json'), null);
+});
+
+test('local storage keys cannot leave the storage directory', async () => {
+  const local = storage.createLocalStorage(baseDir);
+  await assert.rejects(local.readJson('../outside.json'), /Invalid storage key/);
+  await assert.rejects(local.writeJson('users/../../outside.json', {}), /Invalid storage key/);
+});
+
+test('memory storage hands out copies, so callers cannot change stored documents', async () => {
+  const memory = storage.createMemoryStorage();
+  const progress = { doneCounts: { '1-100': 1 } };
+  await memory.writeJson('e100.json', progress);
+  progress.doneCounts['1-100'] = 5;
+
+  const read = await memory.readJson('e100.json');
+  read.doneCounts['1-100'] = 9;
+  assert.deepStrictEqual(await memory.readJson('e100.json'), { doneCounts: { '1-100': 1 } });
+});
+
+test('a namespaced view prefixes every key of the storage below it', async () => {
+  const memory = storage.createMemoryStorage();
+  const alice = storage.createNamespacedStorage(memory, 'users/alice/');
+  const bob = storage.createNamespacedStorage(memory, 'users/bob');
+
+  await alice.writeJson('state.json', { user: 'alice' });
+  assert.deepStrictEqual(await memory.readJson('users/alice/state.json'), { user: 'alice' });
+  assert.strictEqual(await bob.readJson('state.json'), null);
+
+  await alice.remove('state.json');
+  assert.strictEqual(await memory.readJson('users/alice/state.json'), null);
+  assert.strictEqual(alice.name, 'memory');
+});
+
+test('the backend comes from STORAGE_BACKEND, or from whether Tigris credentials are set', () => {
+  assert.strictEqual(storage.createStorageFromEnv({ STORAGE_BACKEND: ' Memory ' }).name, 'memory');
+  assert.strictEqual(storage.createStorageFromEnv({}, baseDir).name, 'local');
+  assert.strictEqual(storage.createStorageFromEnv({ STORAGE_BACKEND: 'local', STORAGE_DIR: baseDir }).name, 'local');
+  assert.throws(() => storage.createStorageFromEnv({ STORAGE_BACKEND: 's3' }), /Unknown STORAGE_BACKEND "s3"/);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const studyHistory = require('../lib/studyHistory');
+
+const NOW = new Date('2026-10-19T09:00:00Z');
+
+// One review at noon UTC on each of the given days
+const reviewsOn = (days) => days.map(day => studyHistory.createHistoryEvent('review', { wordKey: day }, new Date(`${day}T12:00:00Z`)));
+
+test('events get their type and timestamp, and unknown types are rejected', () => {
+  assert.deepStrictEqual(studyHistory.createHistoryEvent('review', { wordKey: 'k', grade: 4, type: 'x' }, NOW), {
+    wordKey: 'k',
+    grade: 4,
+    type: 'review',
+    timestamp: '2026-10-19T09:00:00.000Z'
+  });
+  assert.throws(() => studyHistory.createHistoryEvent('login'), /Invalid history event type "login"/);
+});
+
+test('the log keeps only the newest 20000 events', () => {
+  const log = studyHistory.appendHistoryEvents(Array.from({ length: 19999 }, (_, index) => ({ index })), [{ index: 19999 }, { index: 20000 }]);
+  assert.strictEqual(log.length, 20000);
+  assert.deepStrictEqual([log[0].index, log[log.length - 1].index], [1, 20000]);
+  assert.deepStrictEqual(studyHistory.appendHistoryEvents(null, [{ index: 0 }]), [{ index: 0 }]);
+});
+
+test('the current streak counts back from today, or from yesterday before the first study of the day', () => {
+  const events = reviewsOn(['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-13', '2026-10-17', '2026-10-18']);
+  const summary = studyHistory.summarizeHistory(events, { now: NOW });
+  assert.deepStrictEqual(summary.streak, { current: 2, longest: 4, studiedToday: false });
+
+  const studied = studyHistory.summarizeHistory([...events, ...reviewsOn(['2026-10-19'])], { now: NOW });
+  assert.deepStrictEqual(studied.streak, { current: 3, longest: 4, studiedToday: true });
+
+  const lapsed = studyHistory.summarizeHistory(reviewsOn(['2026-10-16']), { now: NOW });
+  assert.strictEqual(lapsed.streak.current, 0);
+});
+
+test('days follow the learner\'s time zone offset', () => {
+  // 23:30 UTC on the 18th is already the 19th in UTC+7 (getTimezoneOffset() = -420)
+  assert.strictEqual(studyHistory.getDayKey('2026-10-18T23:30:00Z', -420), '2026-10-19');
+  assert.strictEqual(studyHistory.getDayKey('2026-10-19T03:00:00Z', 300), '2026-10-18');
+
+  const events = [studyHistory.createHistoryEvent('quiz-answer', { correct: true }, new Date('2026-10-18T23:30:00Z'))];
+  const summary = studyHistory.summarizeHistory(events, { now: NOW, tzOffset: -420 });
+  assert.strictEqual(summary.today, '2026-10-19');
+  assert.deepStrictEqual(summary.streak, { current: 1, longest: 1, studiedToday: true });
+});
+
+test('the calendar ends today, counts events per type and is at most 366 days long', () => {
+  const events = [
+    ...reviewsOn(['2026-10-18', '2026-10-18']),
+    studyHistory.createHistoryEvent('list-completed', { label: '1-100' }, new Date('2026-10-18T20:00:00Z'))
+  ];
+  const summary = studyHistory.summarizeHistory(events, { now: NOW, days: 3 });
+  assert.deepStrictEqual(summary.calendar, [
+    { date: '2026-10-17', count: 0, byType: {} },
+    { date: '2026-10-18', count: 3, byType: { review: 2, 'list-completed': 1 } },
+    { date: '2026-10-19', count: 0, byType: {} }
+  ]);
+  assert.deepStrictEqual(summary.totals, { review: 2, 'quiz-answer': 0, 'list-completed': 1, 'flag-change': 0 });
+
+  assert.strictEqual(studyHistory.summarizeHistory([], { now: NOW }).calendar.length, 365);
+  assert.strictEqual(studyHistory.summarizeHistory([], { now: NOW, days: 5000 }).calendar.length, studyHistory.MAX_CALENDAR_DAYS);
+});
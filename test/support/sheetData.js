@@ -0,0 +1,34 @@
+// Sheet data fixtures shaped like transformVocabData output (worksheets -> topics -> words)
+
+/**
+ * Build combined sheet data
+ * @param {Object} options - { worksheets, topics, wordsPerTopic, word } where word({ worksheet, topic, topicIndex, row })
+ *   returns extra fields for each word (row is 1-based within its topic)
+ * @returns {Object} Data with every word named "<worksheet> <topic> <row>" on sheet row row + 1
+ */
+function createSheetData(options = {}) {
+  const {
+    worksheets = ['vocabKhi', 'Listening'],
+    topics = ['Topic 1', 'Topic 2', 'Topic 3'],
+    wordsPerTopic = 2,
+    word = () => ({})
+  } = options;
+
+  return {
+    worksheets: worksheets.map(worksheet => ({
+      name: worksheet,
+      topics: topics.map((topic, topicIndex) => ({
+        name: topic,
+        words: Array.from({ length: wordsPerTopic }, (_, index) => ({
+          word: `${worksheet} ${topic} ${index + 1}`,
+          rowNumber: index + 2,
+          ...word({ worksheet, topic, topicIndex, row: index + 1 })
+        }))
+      }))
+    }))
+  };
+}
+
+module.exports = {
+  createSheetData
+};
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const userAccounts = require('../lib/userAccounts');
+const { createMemoryStorage } = require('../lib/storage');
+
+// Move every stored session's expiry into the past
+async function expireSessions(storage) {
+  const data = await storage.readJson('users.json');
+  Object.values(data.sessions).forEach(session => { session.expiresAt = new Date(Date.now() - 1000).toISOString(); });
+  await storage.writeJson('users.json', data);
+}
+
+test('usernames are case-insensitive and checked with passwords on registration', async () => {
+  assert.strictEqual(userAccounts.validateUsername(' Alice.B '), null);
+  assert.match(userAccounts.validateUsername('al'), /3-32 characters/);
+  assert.match(userAccounts.validateUsername('alice smith'), /3-32 characters/);
+  assert.match(userAccounts.validatePassword('short'), /at least 8 characters/);
+
+  const accounts = userAccounts.createAccountStore(createMemoryStorage());
+  const first = await accounts.registerUser('Alice', 'password123');
+  assert.strictEqual(first.isFirstUser, true);
+  assert.strictEqual(first.user.username, 'alice');
+  assert.strictEqual(await accounts.registerUser('ALICE', 'another-password'), null);
+  assert.strictEqual((await accounts.registerUser('bob', 'password123')).isFirstUser, false);
+
+  assert.strictEqual((await accounts.authenticate('alice', 'password123')).id, first.user.id);
+  assert.strictEqual(await accounts.authenticate('alice', 'password124'), null);
+  assert.deepStrictEqual(Object.keys(userAccounts.toPublicUser(first.user)).sort(), ['displayName', 'id', 'provider', 'username']);
+});
+
+test('sessions resolve to their user until they expire or are deleted', async () => {
+  const storage = createMemoryStorage();
+  const accounts = userAccounts.createAccountStore(storage);
+  const { user } = await accounts.registerUser('alice', 'password123');
+
+  const session = await accounts.createSession(user.id);
+  assert.ok(Date.parse(session.expiresAt) - Date.now() > userAccounts.SESSION_MAX_AGE_MS - 60 * 1000);
+  assert.strictEqual((await accounts.getSessionUser(session.token)).id, user.id);
+  assert.strictEqual(await accounts.getSessionUser('not-a-session'), null);
+  // Only a hash of the token is stored
+  assert.ok(!JSON.stringify(await storage.readJson('users.json')).includes(session.token));
+
+  await expireSessions(storage);
+  assert.strictEqual(await accounts.getSessionUser(session.token), null);
+
+  // A new login drops the expired sessions
+  const next = await accounts.createSession(user.id);
+  assert.strictEqual(Object.keys((await storage.readJson('users.json')).sessions).length, 1);
+  await accounts.deleteSession(next.token);
+  assert.strictEqual(await accounts.getSessionUser(next.token), null);
+});
+
+test('a Microsoft identity gets one account however its name is cased', async () => {
+  const accounts = userAccounts.createAccountStore(createMemoryStorage());
+  const created = await accounts.findOrCreateMicrosoftUser({ userPrincipalName: 'Learner@Contoso.com', displayName: 'Learner' });
+  const again = await accounts.findOrCreateMicrosoftUser({ userPrincipalName: 'learner@contoso.com' });
+  assert.deepStrictEqual([created.created, again.created], [true, false]);
+  assert.strictEqual(again.user.id, created.user.id);
+  assert.strictEqual(await accounts.authenticate('learner@contoso.com', ''), null);
+  await assert.rejects(accounts.findOrCreateMicrosoftUser({}), /no user principal name/);
+});
+
+test('concurrent registrations are all kept', async () => {
+  const accounts = userAccounts.createAccountStore(createMemoryStorage());
+  await Promise.all(['ann', 'ben', 'cat', 'dan'].map(name => accounts.registerUser(name, 'password123')));
+  assert.deepStrictEqual((await accounts.listUsers()).map(user => user.username).sort(), ['ann', 'ben', 'cat', 'dan']);
+});
+
+test('session cookies are parsed and built with safe attributes', () => {
+  assert.deepStrictEqual(userAccounts.parseCookies('a=1; vt_session=abc%20d; broken; =x; bad=%E0%A4%A'), { a: '1', vt_session: 'abc d', bad: '%E0%A4%A' });
+  assert.strictEqual(userAccounts.buildSessionCookie('tok', { maxAgeMs: 60000, secure: true }), 'vt_session=tok; Path=/; HttpOnly; SameSite=Lax; Max-Age=60; Secure');
+  assert.strictEqual(userAccounts.buildSessionCookie(''), 'vt_session=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0');
+});
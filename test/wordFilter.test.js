@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const wordFilter = require('../lib/wordFilter');
+const { createSheetData } = require('./support/sheetData');
+
+// Two worksheets with three topics of two words each
+const data = createSheetData({ word: () => ({ flag: 'N' }) });
+
+const topicsOf = (result) => [...new Set(result.entries.map(entry => `${entry.worksheetName}/${entry.topicName}`))];
+
+test('newest topics are the last topics of the first worksheet', () => {
+  const newest = wordFilter.applyFilter(data, wordFilter.parseFilter({ newestTopics: '1' }).filter);
+  assert.deepStrictEqual(topicsOf(newest), ['vocabKhi/Topic 3']);
+
+  const fiveNewest = wordFilter.applyFilter(data, wordFilter.parseFilter({ newestTopics: '5' }).filter);
+  assert.deepStrictEqual(topicsOf(fiveNewest), ['vocabKhi/Topic 1', 'vocabKhi/Topic 2', 'vocabKhi/Topic 3']);
+});
+
+test('newest topics of a worksheet given in the filter', () => {
+  const result = wordFilter.applyFilter(data, wordFilter.parseFilter({ worksheet: 'Listening', newestTopics: '2' }).filter);
+  assert.deepStrictEqual(topicsOf(result), ['Listening/Topic 2', 'Listening/Topic 3']);
+});
+
+test('relative date bounds beyond the range of a Date are validation errors', () => {
+  assert.deepStrictEqual(wordFilter.parseFilter({ from: '-30d', to: 'today' }), { filter: { from: '-30d', to: 'today' }, errors: [] });
+
+  const { filter, errors } = wordFilter.parseFilter({ from: '-1000000000000d', to: '-999999999y' });
+  assert.deepStrictEqual(filter, {});
+  assert.strictEqual(errors.length, 2);
+});
+
+test('words without an Order value are numbered by their position across all worksheets', () => {
+  const result = wordFilter.applyFilter(data, wordFilter.parseFilter({ orderFrom: '3', orderTo: '8' }).filter);
+  assert.deepStrictEqual(result.entries.map(entry => entry.order), [3, 4, 5, 6, 7, 8]);
+  assert.deepStrictEqual(topicsOf(result), ['vocabKhi/Topic 2', 'vocabKhi/Topic 3', 'Listening/Topic 1']);
+});
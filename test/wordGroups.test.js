@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const wordGroups = require('../lib/wordGroups');
+const { createSheetData } = require('./support/sheetData');
+
+// Sheet data with one topic holding the given headwords
+const sheetData = (headwords) => createSheetData({
+  worksheets: ['vocabKhi'],
+  topics: ['Topic 1'],
+  wordsPerTopic: headwords.length,
+  word: ({ row }) => ({ word: headwords[row - 1], meaning: `meaning ${row - 1}` })
+});
+
+test('a word is never reduced to a shorter word that is not its base form', () => {
+  const pairs = [['care', 'car'], ['hope', 'hop'], ['plane', 'plan'], ['rate', 'rat'], ['note', 'not']];
+  pairs.forEach(([word, shorter]) => {
+    assert.notStrictEqual(wordGroups.getLemma(word), wordGroups.getLemma(shorter), `${word} / ${shorter}`);
+  });
+
+  const result = wordGroups.groupDuplicateWords(sheetData(pairs.flat()));
+  assert.deepStrictEqual(result.groups, []);
+});
+
+test('inflected forms are grouped under their WordNet base form', () => {
+  const result = wordGroups.groupDuplicateWords(sheetData([
+    'use', 'used', 'using', 'to derive (from)', 'derived', 'deriving',
+    'hoped', 'hopping', 'planned', 'planes', 'studied', 'study'
+  ]));
+
+  const groups = Object.fromEntries(result.groups.map(group => [group.lemma, group.entries.map(entry => entry.word)]));
+  assert.deepStrictEqual(groups, {
+    use: ['use', 'used', 'using'],
+    derive: ['to derive (from)', 'derived', 'deriving'],
+    study: ['studied', 'study']
+  });
+  assert.strictEqual(wordGroups.lemmatizeToken('hoped'), 'hope');
+  assert.strictEqual(wordGroups.lemmatizeToken('hopping'), 'hop');
+  assert.strictEqual(wordGroups.lemmatizeToken('planned'), 'plan');
+  assert.strictEqual(wordGroups.lemmatizeToken('planes'), 'plane');
+});
+
+test('irregular forms and words that only look inflected', () => {
+  assert.strictEqual(wordGroups.getLemma('children'), 'child');
+  assert.strictEqual(wordGroups.getLemma('went'), 'go');
+  assert.strictEqual(wordGroups.getLemma('evening'), 'evening');
+  assert.strictEqual(wordGroups.getLemma('number'), 'number');
+  assert.strictEqual(wordGroups.getLemma('unknownish words'), 'unknownish word');
+});
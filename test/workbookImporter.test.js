@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { parseCsv, parseWorkbookFile } = require('../lib/workbookImporter');
+
+test('quoted CSV fields keep commas, escaped quotes and line breaks', () => {
+  const rows = parseCsv('word,example\nderive,"We derive it, ""slowly""."\nstop,"Line one\nline two"\n');
+  assert.deepStrictEqual(rows, [
+    ['word', 'example'],
+    ['derive', 'We derive it, "slowly".'],
+    ['stop', 'Line one\nline two']
+  ]);
+});
+
+test('CSV rows end at LF, CRLF or CR and the BOM Excel writes is dropped', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFa,b\r\nc,d\re,f'), [['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  assert.deepStrictEqual(parseCsv('a,,\n\nb'), [['a', '', ''], [''], ['b']]);
+  assert.deepStrictEqual(parseCsv('"",x\n'), [['', 'x']]);
+  assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('a CSV file becomes one worksheet named after the file with padded rows', async () => {
+  const result = await parseWorkbookFile(Buffer.from('Order,Topic,Flag,Word\n1,TOEIC,N\n'), 'my vocab.csv');
+  assert.strictEqual(result.fileName, 'my vocab.csv');
+  assert.deepStrictEqual(result.worksheets, [{
+    name: 'my vocab',
+    range: 'my vocab!A1:D2',
+    rowCount: 2,
+    columnCount: 4,
+    values: [['Order', 'Topic', 'Flag', 'Word'], ['1', 'TOEIC', 'N', '']]
+  }]);
+});
+
+test('xlsx cells are read as Graph returns them, with dates as serial numbers', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('vocabKhi');
+  sheet.addRow(['Word', 'Meaning', 'Date']);
+  sheet.addRow(['derive', { richText: [{ text: 'bắt ' }, { text: 'nguồn' }] }, new Date(Date.UTC(2026, 0, 8))]);
+  workbook.addWorksheet('Listening').addRow(['stop', { formula: '1+1', result: 2 }]);
+
+  const result = await parseWorkbookFile(await workbook.xlsx.writeBuffer(), 'vocab.xlsx');
+  assert.deepStrictEqual(result.worksheets.map(worksheet => [worksheet.name, worksheet.range]), [
+    ['vocabKhi', 'vocabKhi!A1:C2'],
+    ['Listening', 'Listening!A1:B1']
+  ]);
+  assert.deepStrictEqual(result.worksheets[0].values[1], ['derive', 'bắt nguồn', 46030]);
+  assert.deepStrictEqual(result.worksheets[1].values, [['stop', 2]]);
+});
+
+test('empty, unsupported and unreadable files are rejected', async () => {
+  await assert.rejects(parseWorkbookFile(Buffer.alloc(0), 'vocab.csv'), /Uploaded file is empty/);
+  await assert.rejects(parseWorkbookFile(Buffer.from('x'), 'vocab.txt'), /Unsupported file type "\.txt"/);
+  await assert.rejects(parseWorkbookFile(Buffer.from('not a zip'), 'vocab.xlsx'), /Could not read \.xlsx file/);
+});